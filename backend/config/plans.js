@@ -0,0 +1,111 @@
+// Subscription plans. Every limit a tier has is defined here, and the same
+// definitions are served to the frontend (GET /api/plans) so what the UI
+// promises is what the server enforces.
+
+// Read a positive integer from the environment, falling back to a default
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return value > 0 ? value : fallback;
+};
+
+const MB = 1024 * 1024;
+
+// Plans by subscription tier:
+// urlsPerRequest - URLs a single batch may contain
+// dailyDownloads - successful downloads per day, null for unlimited
+// fetch          - `concurrency` caps the requests a batch has in flight
+//                  overall, `perHost` caps them per hostname so a batch
+//                  pointing at a single small origin does not hammer it
+// sizeLimits     - `maxFileSize` caps a single image as fetched,
+//                  `maxBatchSize` caps the bytes a whole batch fetches, both
+//                  in bytes and enforced while the body streams in
+// features       - What the plan offers besides its limits, for the UI
+export const PLANS = {
+  anonymous: {
+    name: "Anonymous",
+    price: "Free",
+    period: null,
+    description: "Perfect for occasional use",
+    urlsPerRequest: 5,
+    dailyDownloads: 5,
+    fetch: {
+      concurrency: envInt("FETCH_CONCURRENCY_ANONYMOUS", 2),
+      perHost: envInt("FETCH_PER_HOST_ANONYMOUS", 2),
+    },
+    sizeLimits: {
+      maxFileSize: envInt("MAX_FILE_SIZE_ANONYMOUS", 10 * MB),
+      maxBatchSize: envInt("MAX_BATCH_SIZE_ANONYMOUS", 25 * MB),
+    },
+    features: [
+      "Basic image support",
+      "No account required",
+      "IP-based tracking",
+    ],
+  },
+  registered: {
+    name: "Free User",
+    price: "Free",
+    period: null,
+    description: "Great for regular users",
+    urlsPerRequest: 10,
+    dailyDownloads: 10,
+    fetch: {
+      concurrency: envInt("FETCH_CONCURRENCY_REGISTERED", 4),
+      perHost: envInt("FETCH_PER_HOST_REGISTERED", 2),
+    },
+    sizeLimits: {
+      maxFileSize: envInt("MAX_FILE_SIZE_REGISTERED", 20 * MB),
+      maxBatchSize: envInt("MAX_BATCH_SIZE_REGISTERED", 100 * MB),
+    },
+    features: [
+      "Download history",
+      "User profile",
+      "Priority support",
+      "Advanced image formats",
+    ],
+  },
+  pro: {
+    name: "Pro Subscription",
+    price: "$9.99",
+    period: "month",
+    description: "Unlimited downloads for power users",
+    urlsPerRequest: 100,
+    dailyDownloads: null,
+    fetch: {
+      concurrency: envInt("FETCH_CONCURRENCY_PRO", 10),
+      perHost: envInt("FETCH_PER_HOST_PRO", 4),
+    },
+    sizeLimits: {
+      maxFileSize: envInt("MAX_FILE_SIZE_PRO", 50 * MB),
+      maxBatchSize: envInt("MAX_BATCH_SIZE_PRO", 1024 * MB),
+    },
+    features: [
+      "Download history",
+      "Advanced image formats",
+      "ZIP downloads",
+      "Session-based tracking",
+      "All image types (BMP, TIFF, WebP, SVG)",
+    ],
+  },
+};
+
+// Get the plan of a tier, defaulting to the most restrictive
+export const getPlan = (tier) => PLANS[tier] || PLANS.anonymous;
+
+// Get the fetch limits for a tier: { concurrency, perHost }
+export const getFetchLimits = (tier) => getPlan(tier).fetch;
+
+// Get the size limits for a tier: { maxFileSize, maxBatchSize }
+export const getSizeLimits = (tier) => getPlan(tier).sizeLimits;
+
+/**
+ * Describe a daily download limit for messages, e.g. "10 downloads per day"
+ * @param {string} tier - Subscription tier
+ * @returns {string} Description of the tier's daily limit
+ */
+export const describeDailyLimit = (tier) => {
+  const { dailyDownloads } = getPlan(tier);
+  return dailyDownloads === null
+    ? "unlimited downloads"
+    : `${dailyDownloads} downloads per day`;
+};
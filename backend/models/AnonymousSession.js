@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { getPlan } from '../config/plans.js';
 
 const anonymousSessionSchema = new mongoose.Schema({
   sessionId: {
@@ -38,6 +39,7 @@ anonymousSessionSchema.pre('save', function(next) {
 
 // Method to check if user can download
 anonymousSessionSchema.methods.canDownload = function(requestedCount) {
+  const limit = getPlan('anonymous').dailyDownloads;
   const today = new Date();
   today.setHours(0, 0, 0, 0);
   
@@ -49,21 +51,21 @@ anonymousSessionSchema.methods.canDownload = function(requestedCount) {
     this.dailyDownloads.count = 0;
     this.dailyDownloads.resetDate = new Date();
     return {
-      canDownload: requestedCount <= 5,
+      canDownload: requestedCount <= limit,
       current: 0,
-      remaining: 5,
-      limit: 5
+      remaining: limit,
+      limit
     };
   }
   
-  const remaining = Math.max(0, 5 - this.dailyDownloads.count);
+  const remaining = Math.max(0, limit - this.dailyDownloads.count);
   const canDownload = requestedCount <= remaining;
   
   return {
     canDownload,
     current: this.dailyDownloads.count,
     remaining,
-    limit: 5
+    limit
   };
 };
 
@@ -97,6 +99,52 @@ anonymousSessionSchema.methods.updateDailyCount = async function(urlCount) {
   return this;
 };
 
+// Method to reserve downloads against the daily limit when a batch is queued.
+// The count is raised in one conditional update, so batches queued side by
+// side can't all pass the same check.
+anonymousSessionSchema.methods.reserveDownloads = async function(requestedCount) {
+  const limitCheck = this.canDownload(requestedCount);
+  if (!limitCheck.canDownload) {
+    return limitCheck;
+  }
+
+  // Store a new session, or the count reset for a new day, first
+  if (this.isNew || this.isModified('dailyDownloads')) {
+    await this.save();
+  }
+
+  const reserved = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      'dailyDownloads.count': { $lte: limitCheck.limit - requestedCount }
+    },
+    { $inc: { 'dailyDownloads.count': requestedCount } },
+    { new: true }
+  );
+
+  // Another batch took the remaining downloads since the check
+  if (!reserved) {
+    const freshSession = await this.constructor.findById(this._id);
+    return { ...freshSession.canDownload(requestedCount), canDownload: false };
+  }
+
+  this.dailyDownloads = reserved.dailyDownloads;
+  return limitCheck;
+};
+
+// Method to give back reserved downloads that didn't succeed
+anonymousSessionSchema.methods.releaseDownloads = async function(urlCount) {
+  await this.constructor.updateOne({ _id: this._id }, [
+    {
+      $set: {
+        'dailyDownloads.count': {
+          $max: [0, { $subtract: ['$dailyDownloads.count', urlCount] }]
+        }
+      }
+    }
+  ]);
+};
+
 // Static method to find or create session
 anonymousSessionSchema.statics.findOrCreate = async function(sessionId) {
   let session = await this.findOne({ sessionId });
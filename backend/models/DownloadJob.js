@@ -0,0 +1,286 @@
+import mongoose from 'mongoose';
+
+const jobItemSchema = new mongoose.Schema({
+  index: {
+    type: Number,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'fetching', 'done', 'failed', 'skipped'],
+    default: 'queued'
+  },
+  // Requested archive entry name and folder (e.g. from CSV columns)
+  name: String,
+  folder: String,
+  // Imported row values for {csv.*} tokens and the {n} number of the
+  // naming template
+  columns: mongoose.Schema.Types.Mixed,
+  sequence: Number,
+  // Position of the URL in the batch a retry was first submitted in, which
+  // the {index} token and names taken from the URL keep using
+  batchIndex: Number,
+  filename: String,
+  size: Number,
+  contentType: String,
+  // Type the image was served as, when it was converted
+  originalType: String,
+  // Content-type the server claimed, when the bytes are another format
+  declaredType: String,
+  // Set for animated PNG and WebP images
+  animated: Boolean,
+  // Archive entry of the SVG kept next to the rasterized image
+  svg: String,
+  // Archive entry of the image's thumbnail, under thumbs/, and its type
+  thumbnail: String,
+  thumbnailType: String,
+  // Camera, dimensions, orientation and capture date, when extracted
+  exif: mongoose.Schema.Types.Mixed,
+  // SHA-256 of the fetched image, and the URL of an identical image stored
+  // in its place when the job deduplicates
+  hash: String,
+  duplicateOf: String,
+  // Perceptual hash and size of the fetched image, and the URL of a
+  // near-duplicate stored in its place, see utils/perceptualHash.js
+  perceptual: mongoose.Schema.Types.Mixed,
+  similarTo: String,
+  error: String,
+  // Structured failure reason, e.g. 'TIMEOUT' or 'HTTP_404', or 'FILTERED'
+  // for skipped images
+  code: String,
+  // Fetch attempts the image took, retries included
+  attempts: Number
+}, { _id: false });
+
+const downloadJobSchema = new mongoose.Schema({
+  owner: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true
+    },
+    sessionId: {
+      type: String,
+      index: true
+    }
+  },
+  // Subscription tier at creation time, which sets the fetch limits
+  tier: {
+    type: String,
+    enum: ['anonymous', 'registered', 'pro'],
+    default: 'anonymous'
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued',
+    index: true
+  },
+  items: [jobItemSchema],
+  // Naming template for the archive entries, e.g. '{index:04}_{basename}.{ext}'
+  filenameTemplate: String,
+  // Date of the {date} token, kept from the first attempt when retrying
+  namingDate: Date,
+  // Store byte-identical images once
+  dedupe: {
+    type: Boolean,
+    default: false
+  },
+  // Store near-duplicates once, see utils/perceptualHash.js
+  similarity: {
+    algorithm: {
+      type: String,
+      enum: ['ahash', 'dhash', 'phash']
+    },
+    threshold: Number,
+    keep: {
+      type: String,
+      enum: ['first', 'largest']
+    }
+  },
+  // Folders the images are arranged in, see utils/archiveLayout.js
+  layout: {
+    type: {
+      type: String,
+      enum: ['flat', 'mirror', 'type', 'column', 'chunk'],
+      default: 'flat'
+    },
+    column: String,
+    size: Number
+  },
+  // Processing applied to every image, see services/imageProcessor.js
+  processing: {
+    convert: {
+      format: {
+        type: String,
+        enum: ['jpeg', 'png', 'webp', 'avif']
+      },
+      quality: Number
+    },
+    resize: {
+      width: Number,
+      height: Number,
+      fit: String
+    },
+    thumbnails: {
+      width: Number,
+      height: Number,
+      fit: String
+    },
+    svg: {
+      mode: {
+        type: String,
+        enum: ['convert', 'keep', 'both']
+      },
+      scale: Number,
+      dpi: Number
+    },
+    metadata: {
+      type: String,
+      enum: ['keep', 'private', 'strip', null]
+    },
+    autoRotate: Boolean,
+    extractExif: Boolean
+  },
+  // Images outside these bounds are skipped, see utils/imageFilters.js
+  filters: {
+    minWidth: Number,
+    maxWidth: Number,
+    minHeight: Number,
+    maxHeight: Number,
+    minFileSize: Number,
+    minAspectRatio: Number,
+    maxAspectRatio: Number,
+    // MIME types, e.g. 'image/jpeg'
+    formats: [String]
+  },
+  // Secret that lets the browser follow the archive link without auth headers
+  accessToken: {
+    type: String,
+    required: true
+  },
+  // Daily downloads reserved when the job was queued
+  reservedDownloads: {
+    type: Number,
+    default: 0
+  },
+  // Whether the job's downloads have been counted against the daily limit
+  // and its reservation settled
+  countedDownloads: {
+    type: Boolean,
+    default: false
+  },
+  // History entry whose failed URLs this job retries
+  retryOf: mongoose.Schema.Types.ObjectId,
+  // History entry recorded for this job once it completed
+  historyEntryId: mongoose.Schema.Types.ObjectId,
+  error: String,
+  startedAt: Date,
+  completedAt: Date,
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 24 * 60 * 60 * 1000),
+    expires: 0 // Document expires at expiresAt (24 hours after creation)
+  }
+}, {
+  timestamps: true
+});
+
+// Count items by status
+downloadJobSchema.methods.getSummary = function() {
+  const countStatus = (status) => this.items.filter((item) => item.status === status).length;
+
+  return {
+    total: this.items.length,
+    queued: countStatus('queued'),
+    fetching: countStatus('fetching'),
+    successful: countStatus('done'),
+    failed: countStatus('failed'),
+    skipped: countStatus('skipped'),
+    duplicates: this.items.filter((item) => item.duplicateOf).length,
+    similar: this.items.filter((item) => item.similarTo).length
+  };
+};
+
+// Per-URL results in the same shape as the synchronous download endpoints
+downloadJobSchema.methods.getResults = function() {
+  return this.items
+    .filter((item) => ['done', 'failed', 'skipped'].includes(item.status))
+    .map((item) => item.status === 'done'
+      ? {
+          url: item.url,
+          success: true,
+          filename: item.filename,
+          size: item.size,
+          contentType: item.contentType,
+          originalType: item.originalType,
+          declaredType: item.declaredType,
+          animated: item.animated,
+          svg: item.svg || undefined,
+          thumbnail: item.thumbnail || undefined,
+          hash: item.hash,
+          exif: item.exif,
+          perceptual: item.perceptual,
+          duplicateOf: item.duplicateOf,
+          similarTo: item.similarTo,
+          attempts: item.attempts
+        }
+      : {
+          url: item.url,
+          success: false,
+          ...(item.status === 'skipped' && { skipped: true }),
+          code: item.code,
+          error: item.error,
+          attempts: item.attempts
+        });
+};
+
+// Options of the job and the naming of its failed URLs, stored with its
+// history entry so a retry names and processes them as this job did
+downloadJobSchema.methods.getRetryBatch = function() {
+  const { filenameTemplate, dedupe, similarity, layout, filters, processing } =
+    this.toObject();
+
+  return {
+    options: {
+      filenameTemplate,
+      dedupe,
+      similarity,
+      layout,
+      filters,
+      processing,
+      namingDate: this.namingDate || this.createdAt
+    },
+    failedItems: this.items
+      .filter((item) => item.status === 'failed')
+      .map((item) => ({
+        url: item.url,
+        index: item.batchIndex ?? item.index,
+        name: item.name,
+        folder: item.folder,
+        columns: item.columns,
+        n: item.sequence
+      }))
+  };
+};
+
+// Check whether a request may see this job
+downloadJobSchema.methods.isOwnedBy = function(requester) {
+  if (this.owner.userId) {
+    return !!requester.userId && this.owner.userId.toString() === requester.userId.toString();
+  }
+  return !!requester.sessionId && this.owner.sessionId === requester.sessionId;
+};
+
+// Static method to find jobs interrupted by a restart
+downloadJobSchema.statics.findUnfinished = function() {
+  return this.find({ status: { $in: ['queued', 'running'] } }).sort({ createdAt: 1 });
+};
+
+const DownloadJob = mongoose.model('DownloadJob', downloadJobSchema);
+
+export default DownloadJob;
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { getPlan } from '../config/plans.js';
 
 const downloadHistorySchema = new mongoose.Schema({
   id: {
@@ -77,9 +78,29 @@ const userSchema = new mongoose.Schema({
       default: Date.now
     },
     urls: [String],
+    // URLs that failed, so they can be retried without the rest of the batch
+    failedUrls: [String],
     totalCount: Number,
     successCount: Number,
-    failedCount: Number
+    failedCount: Number,
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DownloadJob'
+    },
+    // History entry this batch retried
+    retryOf: mongoose.Schema.Types.ObjectId,
+    // Options of the batch and the naming of its failed URLs (see
+    // DownloadJob getRetryBatch), so a retry produces the same files
+    options: mongoose.Schema.Types.Mixed,
+    failedItems: [{
+      _id: false,
+      url: String,
+      index: Number,
+      name: String,
+      folder: String,
+      columns: mongoose.Schema.Types.Mixed,
+      n: Number
+    }]
   }],
   sessionId: String,
   resetPasswordToken: String,
@@ -193,15 +214,10 @@ userSchema.methods.canDownload = async function(urlCount) {
                      freshUser.subscription.expiresAt && 
                      new Date() < new Date(freshUser.subscription.expiresAt);
   
-  if (isProActive) {
-    // Subscribed users: Unlimited downloads
-    limit = Infinity;
-    userType = 'subscribed';
-  } else {
-    // Registered users: 10 downloads per day
-    limit = 10;
-    userType = 'registered';
-  }
+  // Daily limit of the user's plan, where null means unlimited
+  const { dailyDownloads } = getPlan(isProActive ? 'pro' : 'registered');
+  limit = dailyDownloads === null ? Infinity : dailyDownloads;
+  userType = isProActive ? 'subscribed' : 'registered';
   
   const canDownload = currentCount + urlCount <= limit;
   
@@ -272,6 +288,48 @@ userSchema.methods.updateDailyCount = async function(urlCount) {
   return freshUser;
 };
 
+// Method to reserve downloads against the daily limit when a batch is queued.
+// The count is raised in one conditional update, so batches queued side by
+// side can't all pass the same check.
+userSchema.methods.reserveDownloads = async function(urlCount) {
+  const limitCheck = await this.canDownload(urlCount);
+  if (!limitCheck.canDownload) {
+    return limitCheck;
+  }
+
+  const filter = { _id: this._id };
+  if (limitCheck.limit !== 'Unlimited') {
+    filter['dailyDownloads.count'] = { $lte: limitCheck.limit - urlCount };
+  }
+
+  const reserved = await this.constructor.findOneAndUpdate(
+    filter,
+    { $inc: { 'dailyDownloads.count': urlCount } },
+    { new: true }
+  );
+
+  // Another batch took the remaining downloads since the check
+  if (!reserved) {
+    return { ...(await this.canDownload(urlCount)), canDownload: false };
+  }
+
+  this.dailyDownloads = reserved.dailyDownloads;
+  return limitCheck;
+};
+
+// Method to give back reserved downloads that didn't succeed
+userSchema.methods.releaseDownloads = async function(urlCount) {
+  await this.constructor.updateOne({ _id: this._id }, [
+    {
+      $set: {
+        'dailyDownloads.count': {
+          $max: [0, { $subtract: ['$dailyDownloads.count', urlCount] }]
+        }
+      }
+    }
+  ]);
+};
+
 // Method to check subscription status
 userSchema.methods.isSubscriptionActive = function() {
   if (this.subscription.status !== 'pro') return false;
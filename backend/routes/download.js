@@ -1,490 +1,407 @@
 import express from "express";
-import axios from "axios";
+import crypto from "crypto";
+import mongoose from "mongoose";
 import { authenticateToken, optionalAuth } from "../middleware/auth.js";
 import User from "../models/User.js";
 import AnonymousSession from "../models/AnonymousSession.js";
+import DownloadJob from "../models/DownloadJob.js";
+import { createArchive, archiveFilename } from "../services/archiveService.js";
+import {
+  checkUrlLimit,
+  reserveDailyDownloads,
+  releaseDownloads,
+  getRequester,
+  getTier,
+} from "../services/downloadLimits.js";
+import { getPlan, getSizeLimits } from "../config/plans.js";
+import { classifyRequestError } from "../utils/downloadErrors.js";
+import jobQueue from "../services/jobQueue.js";
+import batchEvents from "../services/batchEvents.js";
+import { guardedRequest, BlockedUrlError } from "../services/guardedFetch.js";
+import {
+  extractFromUrl,
+  extractImageUrls,
+  ExtractionError,
+} from "../services/urlExtractor.js";
+import { typeForExtension } from "../utils/filename.js";
+import {
+  assignSequenceNumbers,
+  TemplateError,
+} from "../utils/filenameTemplate.js";
+import { parseLayout, LayoutError } from "../utils/archiveLayout.js";
+import {
+  parseProcessing,
+  ProcessingError,
+} from "../services/imageProcessor.js";
+import { parseFilters, FilterError } from "../utils/imageFilters.js";
+import { parseSimilarity, SimilarityError } from "../utils/perceptualHash.js";
 
 const router = express.Router();
 
-// Download images endpoint
-router.post("/images", optionalAuth, async (req, res) => {
-  try {
-    const { urls } = req.body;
+// Limits on the imported row values an item may carry for {csv.*} tokens
+const MAX_COLUMNS = 100;
+const MAX_COLUMN_LENGTH = 500;
 
-    if (!urls || !Array.isArray(urls) || urls.length === 0) {
-      return res
-        .status(400)
-        .json({ error: "Please provide an array of image URLs" });
-    }
+// Keep the plain string/number values of an imported row
+const readColumns = (columns) => {
+  if (!columns || typeof columns !== "object" || Array.isArray(columns)) {
+    return undefined;
+  }
 
-    // Dynamic URL limit based on user type
-    let maxUrlsPerRequest = 5; // Default for anonymous users
-
-    if (req.user) {
-      // Check if user has active Pro subscription
-      const user = await User.findById(req.user.userId);
-      if (
-        user &&
-        user.subscription &&
-        user.subscription.status === "pro" &&
-        user.subscription.expiresAt &&
-        new Date() < new Date(user.subscription.expiresAt)
-      ) {
-        maxUrlsPerRequest = 100; // Pro users: 100 URLs per request
-      } else {
-        maxUrlsPerRequest = 10; // Registered users: 10 URLs per request
+  const entries = Object.entries(columns)
+    .filter(([, value]) =>
+      ["string", "number", "boolean"].includes(typeof value)
+    )
+    .slice(0, MAX_COLUMNS)
+    .map(([key, value]) => [key, String(value).slice(0, MAX_COLUMN_LENGTH)]);
+  return Object.fromEntries(entries);
+};
+
+// Read the URLs of a batch from a request body. Batches are either plain
+// `urls` or `items` of { url, filename, folder, columns } (e.g. mapped from
+// CSV columns), which name the archive entries, optionally with a naming
+// `template` for the whole batch. Retries of an earlier batch pass each
+// item's `index` and `n` in that batch and its `namingDate`, so the template
+// names them as before. With `dedupe`, identical images are stored
+// once and with `similarity`, near-duplicates too; `layout` arranges them
+// in folders, `filters` skip images outside bounds and `convert`, `resize`,
+// `thumbnails` and `svg` set the processing of every image. Throws
+// TemplateError, LayoutError, FilterError, SimilarityError or
+// ProcessingError for bad options.
+const readBatch = ({
+  urls,
+  items,
+  template,
+  namingDate,
+  dedupe,
+  similarity,
+  layout,
+  filters,
+  ...options
+}) => {
+  const entries = Array.isArray(items)
+    ? {
+        urls: items
+          .filter((item) => typeof item?.url === "string")
+          .map((item) => item.url.trim()),
+        naming: items
+          .filter((item) => typeof item?.url === "string")
+          .map(({ filename, folder, columns, index, n }) => ({
+            filename: filename ? String(filename) : undefined,
+            folder: folder ? String(folder) : undefined,
+            columns: readColumns(columns),
+            index: Number.isInteger(index) && index >= 0 ? index : undefined,
+            n: Number.isInteger(n) && n > 0 ? n : undefined,
+          })),
       }
-    }
+    : { urls, naming: Array.isArray(urls) ? urls.map(() => ({})) : [] };
+  const batch = {
+    ...entries,
+    dedupe: dedupe === true,
+    similarity: parseSimilarity(similarity),
+    layout: parseLayout(layout),
+    filters: parseFilters(filters),
+    processing: parseProcessing(options),
+  };
+
+  // Every image of the batch gets the same date
+  const date = new Date(namingDate ?? Date.now());
+  batch.namingDate = Number.isNaN(date.getTime()) ? new Date() : date;
+
+  if (!template || !Array.isArray(batch.urls)) {
+    return batch;
+  }
 
-    if (urls.length > maxUrlsPerRequest) {
-      const userType = req.user ? "registered" : "anonymous";
-      let limitText;
-      if (req.user) {
-        const user = await User.findById(req.user.userId);
-        if (
-          user &&
-          user.subscription &&
-          user.subscription.status === "pro" &&
-          user.subscription.expiresAt &&
-          new Date() < new Date(user.subscription.expiresAt)
-        ) {
-          limitText = "100 URLs";
-        } else {
-          limitText = "10 URLs";
-        }
-      } else {
-        limitText = "5 URLs";
-      }
+  const sequence = assignSequenceNumbers(
+    template,
+    batch.urls.map((url, i) => ({ url, columns: batch.naming[i].columns }))
+  );
+
+  return {
+    ...batch,
+    template,
+    naming: batch.naming.map((naming, i) => ({
+      ...naming,
+      template,
+      n: naming.n ?? sequence[i],
+      date: batch.namingDate,
+    })),
+  };
+};
+
+// Whether an error comes from bad batch options rather than the server
+const isBatchOptionError = (error) =>
+  error instanceof TemplateError ||
+  error instanceof LayoutError ||
+  error instanceof FilterError ||
+  error instanceof SimilarityError ||
+  error instanceof ProcessingError;
+
+// Reject a batch whose naming template, layout, filters, near-duplicate
+// detection or processing can't be used
+const sendBatchOptionError = (res, error) =>
+  res.status(400).json({ error: error.message, code: error.code });
+
+// Look up a job the current request is allowed to see. Access is granted to
+// the owner (auth token or anonymous session ID) or to holders of the job's
+// access token, which is how browser-followed archive links authenticate.
+const findAccessibleJob = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.jobId)) {
+    return null;
+  }
 
-      return res.status(400).json({
-        error: `Maximum ${limitText} allowed per request. You requested ${urls.length} URLs.`,
-        maxAllowed: maxUrlsPerRequest,
-        requested: urls.length,
-        userType: userType,
-      });
-    }
+  const job = await DownloadJob.findById(req.params.jobId);
+  if (!job) {
+    return null;
+  }
 
-    // Check download limits for authenticated users
-    if (req.user) {
-      const user = await User.findById(req.user.userId);
-      if (user) {
-        const limitCheck = await user.canDownload(urls.length);
-
-        if (!limitCheck.canDownload) {
-          const errorMessage =
-            limitCheck.userType === "registered"
-              ? "Registered users can download up to 10 images per day. Subscribe for unlimited downloads."
-              : "Download limit exceeded";
-
-          return res.status(403).json({
-            error: errorMessage,
-            userType: limitCheck.userType,
-            limits: {
-              current: limitCheck.current,
-              remaining: limitCheck.remaining,
-              limit: limitCheck.limit,
-              requested: urls.length,
-            },
-          });
-        }
-
-        // Note: Download count will be updated after successful downloads at the end of the function
-      }
-    } else {
-      // For unauthenticated users, use session-based tracking
-      const { sessionId } = req.body;
+  const requester = req.user
+    ? { userId: req.user.userId }
+    : { sessionId: req.query.sessionId };
 
-      if (!sessionId) {
-        return res.status(400).json({
-          error: "Session ID required for anonymous users",
-        });
-      }
+  if (job.isOwnedBy(requester) || req.query.token === job.accessToken) {
+    return job;
+  }
 
-      // Get or create anonymous user session by session ID
-      let anonymousSession = await AnonymousSession.findOne({ sessionId });
+  return null;
+};
+
+// Describe a job for status polling
+const serializeJob = (job, baseUrl) => ({
+  jobId: job._id,
+  status: job.status,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  completedAt: job.completedAt,
+  error: job.error,
+  summary: job.getSummary(),
+  retryOf: job.retryOf,
+  historyEntryId: job.historyEntryId,
+  namingDate: job.namingDate,
+  items: job.items.map((item) => ({
+    index: item.index,
+    // Position and {n} number a retry passes on to keep the item's name
+    batchIndex: item.batchIndex ?? item.index,
+    n: item.sequence,
+    url: item.url,
+    status: item.status,
+    filename: item.filename,
+    size: item.size,
+    contentType: item.contentType,
+    svg: item.svg || undefined,
+    thumbnail: item.thumbnail || undefined,
+    duplicateOf: item.duplicateOf,
+    similarTo: item.similarTo,
+    code: item.code,
+    error: item.error,
+  })),
+  eventsUrl: `${baseUrl}/jobs/${job._id}/events?token=${job.accessToken}`,
+  archiveUrl:
+    job.status === "completed"
+      ? `${baseUrl}/jobs/${job._id}/archive?token=${job.accessToken}`
+      : null,
+});
 
-      if (!anonymousSession) {
-        anonymousSession = new AnonymousSession({
-          sessionId,
-          dailyDownloads: { count: 0, resetDate: new Date() },
-        });
-      }
+// Check limits for a batch of URLs and reserve its daily downloads, then
+// create and queue a job for it. The job gives back the reservations of
+// URLs that don't download once it finishes.
+// `naming` holds the requested { filename, folder, columns, n } of each URL.
+const queueJob = async (req, res, urls, naming = [], fields = {}) => {
+  const limitError =
+    (await checkUrlLimit(req, urls)) ||
+    (await reserveDailyDownloads(req, urls.length));
+  if (limitError) {
+    return res.status(limitError.status).json(limitError.body);
+  }
 
-      // Check if it's a new day and reset count
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      const resetDate = new Date(anonymousSession.dailyDownloads.resetDate);
-      resetDate.setHours(0, 0, 0, 0);
+  let job;
+  try {
+    job = await DownloadJob.create({
+      owner: getRequester(req),
+      tier: await getTier(req),
+      items: urls.map((url, index) => ({
+        index,
+        url,
+        name: naming[index]?.filename,
+        folder: naming[index]?.folder,
+        columns: naming[index]?.columns,
+        sequence: naming[index]?.n,
+        batchIndex: naming[index]?.index,
+      })),
+      reservedDownloads: urls.length,
+      accessToken: crypto.randomBytes(16).toString("hex"),
+      ...fields,
+    });
+  } catch (error) {
+    await releaseDownloads(getRequester(req), urls.length);
+    throw error;
+  }
 
-      if (today.getTime() !== resetDate.getTime()) {
-        anonymousSession.dailyDownloads.count = 0;
-        anonymousSession.dailyDownloads.resetDate = new Date();
-      }
+  jobQueue.enqueue(job._id);
 
-      const currentCount = anonymousSession.dailyDownloads.count;
-      const limit = 5; // Anonymous users: 5 downloads per day
+  res.status(202).json({
+    message: "Download job queued",
+    ...serializeJob(job, req.baseUrl),
+  });
+};
 
-      if (currentCount + urls.length > limit) {
-        return res.status(403).json({
-          error:
-            "Anonymous users can only download up to 5 images per day. Please sign up for 10 downloads per day or subscribe for unlimited downloads.",
-          userType: "anonymous",
-          limit: limit,
-          current: currentCount,
-          remaining: Math.max(0, limit - currentCount),
-          requested: urls.length,
-        });
-      }
+// Create a background download job
+router.post("/jobs", optionalAuth, async (req, res) => {
+  try {
+    const {
+      urls,
+      naming,
+      template,
+      namingDate,
+      dedupe,
+      similarity,
+      layout,
+      filters,
+      processing,
+    } = readBatch(req.body);
+    await queueJob(req, res, urls, naming, {
+      filenameTemplate: template,
+      namingDate,
+      dedupe,
+      similarity,
+      layout,
+      filters,
+      processing,
+    });
+  } catch (error) {
+    if (isBatchOptionError(error)) {
+      return sendBatchOptionError(res, error);
+    }
+    console.error("Create job error:", error);
+    res.status(500).json({ error: "Failed to create download job" });
+  }
+});
+
+// Get the status of a download job
+router.get("/jobs/:jobId", optionalAuth, async (req, res) => {
+  try {
+    const job = await findAccessibleJob(req);
+
+    if (!job) {
+      return res.status(404).json({ error: "Download job not found" });
+    }
+
+    res.json(serializeJob(job, req.baseUrl));
+  } catch (error) {
+    console.error("Job status error:", error);
+    res.status(500).json({ error: "Failed to get download job status" });
+  }
+});
+
+// Stream per-URL progress of a job as Server-Sent Events. The first event is
+// a snapshot of the job; the last is "complete" with its final state.
+router.get("/jobs/:jobId/events", optionalAuth, async (req, res) => {
+  try {
+    const job = await findAccessibleJob(req);
 
-      // Note: Anonymous download count will be updated after successful downloads
+    if (!job) {
+      return res.status(404).json({ error: "Download job not found" });
     }
 
-    const results = [];
-    const successfulDownloads = [];
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // Disable proxy buffering
+    });
+
+    const send = (type, data) => {
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    if (job.status === "completed" || job.status === "failed") {
+      send("complete", serializeJob(job, req.baseUrl));
+      return res.end();
+    }
 
-    // Download images
-    for (let i = 0; i < urls.length; i++) {
-      const url = urls[i];
+    send("snapshot", serializeJob(job, req.baseUrl));
+
+    // Keep idle connections from being closed by proxies
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+
+    let unsubscribe = null;
+    const stopListening = () => {
+      clearInterval(heartbeat);
+      unsubscribe?.();
+    };
+
+    let finished = false;
+    const sendComplete = async () => {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      stopListening();
       try {
-        console.log(`Processing URL ${i + 1}/${urls.length}: ${url}`);
-
-        // Check if it's an SVG file
-        const isSvg = url.toLowerCase().endsWith(".svg");
-        let response;
-
-        // First try direct download
-        try {
-          response = await axios.get(url, {
-            responseType: isSvg ? "text" : "arraybuffer",
-            timeout: 30000,
-            maxContentLength: 10 * 1024 * 1024, // 10MB limit
-            headers: {
-              Accept: isSvg
-                ? "image/svg+xml,text/plain"
-                : "image/*,application/octet-stream",
-              "User-Agent":
-                "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
-              Referer: url,
-            },
-            // Follow redirects for image URLs
-            maxRedirects: 5,
-            validateStatus: function (status) {
-              return status >= 200 && status < 400; // Accept redirects
-            },
-          });
-        } catch (downloadError) {
-          console.error(`Failed to download ${url}:`, downloadError.message);
-          results.push({
-            url,
-            success: false,
-            error: "Failed to download image",
-          });
-          continue;
-        }
-
-        // Process the downloaded image
-        if (response.status === 200) {
-          let contentType = response.headers["content-type"] || "";
-          let contentLength = response.headers["content-length"];
-
-          console.log(`Processing ${url}:`, {
-            contentType,
-            contentLength,
-            responseSize: response.data.length || response.data.byteLength,
-            isSvg,
-          });
-
-          // Handle SVG files
-          if (isSvg) {
-            if (
-              typeof response.data === "string" &&
-              response.data.includes("<svg")
-            ) {
-              // Valid SVG content
-              const filename =
-                url.split("/").pop().split("?")[0] || "image.svg";
-              if (!filename.endsWith(".svg")) {
-                filename = filename + ".svg";
-              }
-
-              successfulDownloads.push({
-                filename,
-                size: response.data.length,
-                dataUrl: `data:image/svg+xml;base64,${Buffer.from(
-                  response.data
-                ).toString("base64")}`,
-                isSvg: true,
-              });
-
-              results.push({
-                url,
-                success: true,
-                filename,
-                size: response.data.length,
-                contentType: "image/svg+xml",
-              });
-            } else {
-              results.push({
-                url,
-                success: false,
-                error: "Invalid SVG content",
-              });
-            }
-            continue;
-          }
-
-          // Enhanced content type detection for all image formats
-          let isImage = false;
-          let detectedType = "";
-
-          // Check content type header first
-          if (contentType.startsWith("image/")) {
-            isImage = true;
-            detectedType = contentType;
-          } else if (contentType.includes("octet-stream")) {
-            // Generic binary content - need to detect image type
-            isImage = false;
-            detectedType = "application/octet-stream";
-          } else {
-            // Try to detect if it's actually an image by checking the first few bytes
-            const firstBytes = response.data.slice(0, 8);
-
-            // BMP signature: BM (42 4D)
-            const isBMP = firstBytes[0] === 0x42 && firstBytes[1] === 0x4d;
-
-            // JPEG signature: FF D8 FF
-            const isJPEG =
-              firstBytes[0] === 0xff &&
-              firstBytes[1] === 0xd8 &&
-              firstBytes[2] === 0xff;
-
-            // PNG signature: 89 50 4E 47 0D 0A 1A 0A
-            const isPNG =
-              firstBytes[0] === 0x89 &&
-              firstBytes[1] === 0x50 &&
-              firstBytes[2] === 0x4e &&
-              firstBytes[3] === 0x47 &&
-              firstBytes[4] === 0x0d &&
-              firstBytes[5] === 0x0a &&
-              firstBytes[6] === 0x1a &&
-              firstBytes[7] === 0x0a;
-
-            // GIF signature: GIF87a or GIF89a
-            const isGIF =
-              firstBytes[0] === 0x47 &&
-              firstBytes[1] === 0x49 &&
-              firstBytes[2] === 0x46 &&
-              firstBytes[3] === 0x38 &&
-              (firstBytes[4] === 0x37 || firstBytes[4] === 0x39) &&
-              firstBytes[5] === 0x61;
-
-            // WebP signature: RIFF....WEBP
-            const isWebP =
-              firstBytes[0] === 0x52 &&
-              firstBytes[1] === 0x49 &&
-              firstBytes[2] === 0x46 &&
-              firstBytes[3] === 0x57 &&
-              firstBytes[4] === 0x45 &&
-              firstBytes[5] === 0x42 &&
-              firstBytes[6] === 0x50;
-
-            // TIFF signature: II (Intel) or MM (Motorola)
-            const isTIFF =
-              (firstBytes[0] === 0x49 && firstBytes[1] === 0x49) ||
-              (firstBytes[0] === 0x4d && firstBytes[1] === 0x4d);
-
-            if (isBMP || isJPEG || isPNG || isGIF || isWebP || isTIFF) {
-              isImage = true;
-
-              // Set the correct content type based on detection
-              if (isBMP) detectedType = "image/bmp";
-              else if (isJPEG) detectedType = "image/jpeg";
-              else if (isPNG) detectedType = "image/png";
-              else if (isGIF) detectedType = "image/gif";
-              else if (isWebP) detectedType = "image/webp";
-              else if (isTIFF) detectedType = "image/tiff";
-
-              console.log(`Detected image type: ${detectedType} for ${url}`);
-            } else {
-              console.log(
-                `Not an image file: ${url}, first bytes:`,
-                firstBytes
-                  .slice(0, 4)
-                  .map((b) => b.toString(16).padStart(2, "0"))
-                  .join(" ")
-              );
-            }
-          }
-
-          if (!isImage) {
-            results.push({
-              url,
-              success: false,
-              error: "Not an image file",
-            });
-            continue;
-          }
-
-          // Generate filename - handle complex URLs better
-          let filename = "";
-          const urlPath = url.split("?")[0]; // Remove query parameters
-          const pathParts = urlPath.split("/");
-          const lastPart = pathParts[pathParts.length - 1];
-
-          if (lastPart && lastPart.includes(".")) {
-            filename = lastPart;
-          } else if (lastPart && lastPart.length > 0) {
-            const extension = detectedType.split("/")[1] || "jpg";
-            filename = `${lastPart}.${extension}`;
-          } else {
-            const extension = detectedType.split("/")[1] || "jpg";
-            filename = `image-${i + 1}.${extension}`;
-          }
-
-          // Create data URL for the image
-          const base64 = Buffer.from(response.data).toString("base64");
-
-          // Validate base64 data
-          if (!base64 || base64.length === 0) {
-            console.error(`Empty base64 data for ${url}`);
-            results.push({
-              url,
-              success: false,
-              error: "Failed to encode image data",
-            });
-            continue;
-          }
-
-          const dataUrl = `data:${detectedType};base64,${base64}`;
-
-          // Validate data URL
-          if (!dataUrl.startsWith("data:") || dataUrl.length < 100) {
-            console.error(
-              `Invalid data URL for ${url}:`,
-              dataUrl.substring(0, 100)
-            );
-            results.push({
-              url,
-              success: false,
-              error: "Failed to create valid data URL",
-            });
-            continue;
-          }
-
-          successfulDownloads.push({
-            filename,
-            size: response.data.byteLength || response.data.length,
-            dataUrl,
-            isSvg: false,
-          });
-
-          results.push({
-            url,
-            success: true,
-            filename,
-            size: response.data.byteLength || response.data.length,
-            contentType: detectedType,
-          });
-        } else {
-          results.push({
-            url,
-            success: false,
-            error: `HTTP ${response.status}`,
-          });
-        }
+        const finishedJob = await DownloadJob.findById(job._id);
+        send("complete", serializeJob(finishedJob, req.baseUrl));
       } catch (error) {
-        console.error(`Error downloading ${url}:`, error.message);
-        results.push({
-          url,
-          success: false,
-          error: "Failed to download image",
-        });
+        console.error("Job events error:", error);
       }
-    }
+      res.end();
+    };
 
-    // Update download count for anonymous users
-    if (!req.user) {
-      const { sessionId } = req.body;
-      let anonymousSession = await AnonymousSession.findOne({ sessionId });
-
-      if (anonymousSession) {
-        const successfulCount = results.filter((r) => r.success).length;
-
-        // Only update count for successful downloads
-        if (successfulCount > 0) {
-          anonymousSession.dailyDownloads.count += successfulCount;
-          await anonymousSession.save();
-
-          console.log("Anonymous download count after update:", {
-            sessionId,
-            dailyCount: anonymousSession.dailyDownloads.count,
-            resetDate: anonymousSession.dailyDownloads.resetDate,
-            successfulDownloads: successfulCount,
-            remaining: Math.max(0, 5 - anonymousSession.dailyDownloads.count),
-          });
-        }
+    unsubscribe = batchEvents.subscribe(job._id, (event) => {
+      if (event.type === "complete") {
+        sendComplete();
+        return;
       }
+      send(event.type, event);
+    });
+
+    req.on("close", stopListening);
+
+    // The job may have finished between the first lookup and subscribing,
+    // in which case its "complete" event was already published
+    const current = await DownloadJob.findById(job._id, { status: 1 });
+    if (current?.status === "completed" || current?.status === "failed") {
+      await sendComplete();
+    }
+  } catch (error) {
+    console.error("Job events error:", error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: "Failed to stream job events" });
     }
+    res.end();
+  }
+});
 
-    // Update download count and history for authenticated users
-    if (req.user) {
-      const user = await User.findById(req.user.userId);
-      if (user) {
-        const successfulCount = results.filter((r) => r.success).length;
-
-        // Only update count for successful downloads
-        if (successfulCount > 0) {
-          await user.updateDailyCount(successfulCount);
-        }
-
-        // Then update history
-        await user.updateDownloadHistory({
-          urls: urls,
-          successCount: successfulCount,
-          failedCount: results.filter((r) => !r.success).length,
-          totalCount: urls.length,
-        });
+// Download the archive of a completed job
+router.get("/jobs/:jobId/archive", optionalAuth, async (req, res) => {
+  try {
+    const job = await findAccessibleJob(req);
 
-        // Double-check final counts
-        const finalCheck = await user.canDownload(0);
-        console.log("Final download counts:", {
-          userId: user._id,
-          email: user.email,
-          dailyCount: user.dailyDownloads.count,
-          resetDate: user.dailyDownloads.resetDate,
-          remaining: finalCheck.remaining,
-          successfulDownloads: successfulCount,
-          historyCount: user.downloadHistory.length,
-          subscription: user.subscription,
-        });
-      }
+    if (!job) {
+      return res.status(404).json({ error: "Download job not found" });
     }
 
-    console.log(
-      "Sending response with successful downloads:",
-      successfulDownloads.length
-    );
-    successfulDownloads.forEach((download, index) => {
-      console.log(`Download ${index + 1}:`, {
-        filename: download.filename,
-        size: download.size,
-        dataUrlLength: download.dataUrl.length,
+    if (job.status !== "completed") {
+      return res.status(409).json({
+        error: "Download job has not finished yet",
+        status: job.status,
       });
-    });
+    }
 
-    res.json({
-      message: "Download completed",
-      results,
-      summary: {
-        total: urls.length,
-        successful: results.filter((r) => r.success).length,
-        failed: results.filter((r) => !r.success).length,
-      },
-      downloads: successfulDownloads,
-    });
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${archiveFilename(job.completedAt)}"`
+    );
+
+    const archive = createArchive(res);
+    jobQueue.addJobImages(job, archive);
+    await archive.finalize(job.getResults());
   } catch (error) {
-    console.error("Download error:", error);
-    res.status(500).json({ error: "Failed to process download request" });
+    console.error("Job archive error:", error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: "Failed to build job archive" });
+    }
+    res.destroy(error);
   }
 });
 
@@ -526,6 +443,62 @@ router.delete("/history", authenticateToken, async (req, res) => {
   }
 });
 
+// Re-queue only the failed URLs of a history entry (authenticated users only).
+// Successes of the retry are counted like any other job.
+router.post("/history/:entryId/retry", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const entry = mongoose.isValidObjectId(req.params.entryId)
+      ? user.downloadHistory.id(req.params.entryId)
+      : null;
+
+    if (!entry) {
+      return res.status(404).json({ error: "History entry not found" });
+    }
+
+    if (!entry.failedUrls || entry.failedUrls.length === 0) {
+      return res.status(400).json({ error: "No failed URLs to retry" });
+    }
+
+    console.log(
+      `Retrying ${entry.failedUrls.length} failed URLs of history entry ${entry._id}`
+    );
+
+    // Name and process the URLs as the original batch did. Entries recorded
+    // before its options were stored fall back to its job, if still around.
+    const originalJob =
+      !entry.options && entry.jobId
+        ? await DownloadJob.findById(entry.jobId)
+        : null;
+    const batch = entry.options
+      ? { options: entry.options, failedItems: entry.failedItems }
+      : originalJob?.getRetryBatch() || { options: {}, failedItems: [] };
+    const naming = entry.failedUrls.map((url) => {
+      const item = batch.failedItems.find((item) => item.url === url);
+      return {
+        filename: item?.name,
+        folder: item?.folder,
+        columns: item?.columns,
+        n: item?.n,
+        index: item?.index,
+      };
+    });
+
+    await queueJob(req, res, [...entry.failedUrls], naming, {
+      retryOf: entry._id,
+      ...batch.options,
+    });
+  } catch (error) {
+    console.error("Retry history error:", error);
+    res.status(500).json({ error: "Failed to retry download" });
+  }
+});
+
 // Debug endpoint for user download data (remove in production)
 router.get("/debug-user/:email", async (req, res) => {
   try {
@@ -553,7 +526,7 @@ router.get("/debug-user/:email", async (req, res) => {
   }
 });
 
-// Get remaining downloads endpoint
+// Get remaining downloads and the size limits of the user's plan
 router.get("/remaining", authenticateToken, async (req, res) => {
   try {
     const user = await User.findById(req.user.userId);
@@ -562,6 +535,7 @@ router.get("/remaining", authenticateToken, async (req, res) => {
     }
 
     const limitCheck = await user.canDownload(0);
+    const tier = await getTier(req);
 
     res.json({
       isAuthenticated: true,
@@ -570,6 +544,8 @@ router.get("/remaining", authenticateToken, async (req, res) => {
       remaining: limitCheck.remaining,
       limit: limitCheck.limit,
       resetDate: limitCheck.resetDate,
+      tier,
+      sizeLimits: getSizeLimits(tier),
     });
   } catch (error) {
     console.error("Remaining downloads error:", error);
@@ -577,7 +553,8 @@ router.get("/remaining", authenticateToken, async (req, res) => {
   }
 });
 
-// Get remaining downloads for anonymous users (now using session ID)
+// Get remaining downloads and size limits for anonymous users (now using
+// session ID)
 router.post("/remaining", async (req, res) => {
   try {
     const { sessionId } = req.body;
@@ -609,7 +586,7 @@ router.post("/remaining", async (req, res) => {
       await anonymousSession.save();
     }
 
-    const limit = 5; // Anonymous limit
+    const limit = getPlan("anonymous").dailyDownloads;
     const current = anonymousSession.dailyDownloads.count;
     const remaining = Math.max(0, limit - current);
 
@@ -627,6 +604,8 @@ router.post("/remaining", async (req, res) => {
       current,
       remaining,
       limit,
+      tier: "anonymous",
+      sizeLimits: getSizeLimits("anonymous"),
     });
   } catch (error) {
     console.error("Remaining downloads error:", error);
@@ -634,6 +613,64 @@ router.post("/remaining", async (req, res) => {
   }
 });
 
+// Find image URLs the user can pick from in a web page, a pasted HTML
+// snippet, an XML sitemap or an RSS/Atom feed. `preferredFormat` (e.g.
+// "webp") picks that format from <picture> and srcset variants when
+// available; `page` continues through a large sitemap index.
+router.post("/extract", optionalAuth, async (req, res) => {
+  try {
+    const { url, html, baseUrl, preferredFormat, page } = req.body;
+    const options = {
+      preferredType: typeForExtension(preferredFormat),
+      page: Math.max(0, parseInt(page, 10) || 0),
+    };
+
+    if (typeof html === "string" && html.trim()) {
+      const candidates = extractImageUrls(html, baseUrl || null, options);
+      return res.json({
+        pageUrl: baseUrl || null,
+        sourceType: "snippet",
+        candidates,
+        total: candidates.length,
+      });
+    }
+
+    if (!url || typeof url !== "string") {
+      return res.status(400).json({
+        error: "Please provide a page, sitemap or feed URL or an HTML snippet",
+      });
+    }
+
+    console.log(`Extracting image URLs from ${url}`);
+
+    const result = await extractFromUrl(url.trim(), options);
+
+    res.json({
+      ...result,
+      total: result.candidates.length,
+    });
+  } catch (error) {
+    if (error instanceof BlockedUrlError) {
+      return res.status(400).json({
+        error: `Blocked: ${error.message}`,
+        code: "BLOCKED",
+        blocked: true,
+      });
+    }
+
+    if (error instanceof ExtractionError) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+
+    const { code, message } = classifyRequestError(error);
+    console.error(
+      `Failed to extract image URLs from ${req.body.url}:`,
+      error.message
+    );
+    res.status(502).json({ error: `Failed to fetch page: ${message}`, code });
+  }
+});
+
 // Validate image URLs
 router.post("/validate", async (req, res) => {
   try {
@@ -647,7 +684,9 @@ router.post("/validate", async (req, res) => {
 
     for (const url of urls) {
       try {
-        const response = await axios.head(url, {
+        const response = await guardedRequest({
+          method: "head",
+          url,
           timeout: 10000,
         });
 
@@ -663,11 +702,17 @@ router.post("/validate", async (req, res) => {
           accessible: true,
         });
       } catch (error) {
+        const { code } = classifyRequestError(error);
         validations.push({
           url,
           valid: false,
           accessible: false,
-          error: error.message,
+          blocked: error instanceof BlockedUrlError,
+          code,
+          error:
+            error instanceof BlockedUrlError
+              ? `Blocked: ${error.message}`
+              : error.message,
         });
       }
     }
@@ -0,0 +1,15 @@
+import express from "express";
+import { PLANS } from "../config/plans.js";
+
+const router = express.Router();
+
+// List the subscription plans with their limits and features, cheapest
+// first. The frontend renders its plan copy from this, so it always matches
+// what is enforced.
+router.get("/", (req, res) => {
+  res.json({
+    plans: Object.entries(PLANS).map(([id, plan]) => ({ id, ...plan })),
+  });
+});
+
+export default router;
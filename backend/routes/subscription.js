@@ -3,6 +3,7 @@ import jwt from "jsonwebtoken";
 import cors from "cors";
 import User from "../models/User.js";
 import { authenticateToken } from "../middleware/auth.js";
+import { getPlan } from "../config/plans.js";
 
 const router = express.Router();
 
@@ -102,7 +103,7 @@ router.get("/gumroad/product", async (req, res) => {
     res.json({
       productId,
       checkoutUrl,
-      price: "$9.99",
+      price: getPlan("pro").price,
       period: "monthly",
     });
   } catch (error) {
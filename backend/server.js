@@ -1,17 +1,18 @@
+// Load environment variables before any module reads them at import time
+// (plan limits, job queue settings)
+import "dotenv/config";
 import express from "express";
 import cors from "cors";
 import helmet from "helmet";
 import rateLimit from "express-rate-limit";
-import dotenv from "dotenv";
 import connectDB from "./config/database.js";
 import authRoutes from "./routes/auth.js";
 import downloadRoutes from "./routes/download.js";
 import userRoutes from "./routes/user.js";
 import subscriptionRoutes from "./routes/subscription.js";
 import gumroadWebhookRoutes from "./routes/gumroad-webhook.js";
-
-// Load environment variables
-dotenv.config();
+import planRoutes from "./routes/plans.js";
+import jobQueue from "./services/jobQueue.js";
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -19,8 +20,12 @@ const PORT = process.env.PORT || 3001;
 // Trust proxy for Render hosting (fixes X-Forwarded-For header issue)
 app.set("trust proxy", 1);
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then resume download jobs interrupted by a restart
+connectDB()
+  .then(() => jobQueue.start())
+  .catch((error) => {
+    console.error("❌ Failed to start download job queue:", error);
+  });
 
 // Security middleware
 const corsOrigins =
@@ -180,6 +185,7 @@ app.use("/api/download", downloadRoutes);
 app.use("/api/user", userRoutes);
 app.use("/api/subscription", subscriptionRoutes);
 app.use("/api/gumroad-webhook", gumroadWebhookRoutes);
+app.use("/api/plans", planRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
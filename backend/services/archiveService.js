@@ -0,0 +1,106 @@
+import archiver from "archiver";
+import { createNameRegistry, replaceExtension } from "../utils/filename.js";
+import { layoutFolder } from "../utils/archiveLayout.js";
+import { THUMBNAIL_FOLDER } from "./imageProcessor.js";
+import {
+  MANIFEST_FILES,
+  manifestCsv,
+  manifestJson,
+} from "../utils/manifest.js";
+
+// Generate the download filename for a batch archive
+export const archiveFilename = (date = new Date()) => {
+  const timestamp = date.toISOString().slice(0, 19).replace(/:/g, "-");
+  return `bulk-images-${timestamp}.zip`;
+};
+
+/**
+ * Decide the archive entry of each downloaded image: the image is placed in
+ * the folder of the batch's `layout` (see archiveLayout.js), names are made
+ * unique ("image (2).jpg") and, with `dedupe`, byte-identical images are
+ * stored once and reported as duplicates of the first URL that fetched them.
+ * Thumbnails mirror the entry of their image under thumbs/, with the
+ * extension of their own type, and SVGs kept next to their raster image
+ * take its name with a .svg extension.
+ * Images should be tracked in the order they are added to the archive.
+ * @param {Object} options - { dedupe, layout }
+ * @returns {Object} { track({ url, index, filename, contentType, hash, columns, svg, thumbnailType }) }
+ *   where a truthy `svg` means the image has an SVG next to it and
+ *   `thumbnailType` is the type of the image's thumbnail, if it has one,
+ *   returning { filename, svg, thumbnail } or { filename, duplicateOf } for
+ *   images not to be stored
+ */
+export const createEntryTracker = ({ dedupe = false, layout = null } = {}) => {
+  const names = createNameRegistry();
+  // Images never take the names of the manifest files
+  MANIFEST_FILES.forEach((name) => names.claim(name));
+  const stored = new Map(); // hash -> { url, filename }
+
+  return {
+    track(image) {
+      const { url, filename, hash, svg, thumbnailType } = image;
+      const original = dedupe && hash ? stored.get(hash) : null;
+      if (original) {
+        return { filename: original.filename, duplicateOf: original.url };
+      }
+
+      const folder = layoutFolder(layout, image);
+      const unique = names.claim(folder ? `${folder}/${filename}` : filename);
+      if (hash && !stored.has(hash)) {
+        stored.set(hash, { url, filename: unique });
+      }
+      return {
+        filename: unique,
+        ...(svg && {
+          svg: names.claim(replaceExtension(unique, "image/svg+xml")),
+        }),
+        ...(thumbnailType && {
+          thumbnail: names.claim(
+            `${THUMBNAIL_FOLDER}/${replaceExtension(unique, thumbnailType)}`
+          ),
+        }),
+      };
+    },
+  };
+};
+
+/**
+ * Create a ZIP archive that streams into `output` as entries are added.
+ * Images are appended as soon as they are fetched, so only one image is held
+ * in memory at a time; `finalize` writes manifest.json and manifest.csv,
+ * covering failed URLs too, as the last entries.
+ * @param {import("stream").Writable} output - Destination stream (e.g. an HTTP response)
+ * @returns {Object} { addImage, finalize, abort }
+ */
+export const createArchive = (output) => {
+  // Images are already compressed, so favour speed over ratio
+  const archive = archiver("zip", { zlib: { level: 1 } });
+
+  archive.on("warning", (warning) => {
+    console.warn("Archive warning:", warning.message);
+  });
+
+  archive.on("error", (error) => {
+    console.error("Archive error:", error);
+    output.destroy(error);
+  });
+
+  archive.pipe(output);
+
+  return {
+    addImage(filename, data) {
+      archive.append(data, { name: filename });
+    },
+
+    async finalize(results) {
+      archive.append(manifestJson(results), { name: "manifest.json" });
+      archive.append(manifestCsv(results), { name: "manifest.csv" });
+
+      await archive.finalize();
+    },
+
+    abort() {
+      archive.abort();
+    },
+  };
+};
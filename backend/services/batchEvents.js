@@ -0,0 +1,35 @@
+import { EventEmitter } from "events";
+
+// In-process pub/sub for per-URL progress of running batches. Workers publish
+// events keyed by batch (job) ID and SSE connections subscribe to them.
+class BatchEvents {
+  constructor() {
+    this.emitter = new EventEmitter();
+    // Every open SSE connection adds a listener
+    this.emitter.setMaxListeners(0);
+  }
+
+  /**
+   * Publish an event for a batch
+   * @param {string} batchId - Batch (job) ID
+   * @param {Object} event - { type, index, url, ... }; type is one of
+   *   queued, fetching, progress, done, failed or complete
+   */
+  publish(batchId, event) {
+    this.emitter.emit(batchId.toString(), event);
+  }
+
+  /**
+   * Listen to the events of a batch
+   * @param {string} batchId - Batch (job) ID
+   * @param {Function} listener - Called with each event
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(batchId, listener) {
+    const channel = batchId.toString();
+    this.emitter.on(channel, listener);
+    return () => this.emitter.off(channel, listener);
+  }
+}
+
+export default new BatchEvents();
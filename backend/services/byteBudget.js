@@ -0,0 +1,34 @@
+/**
+ * Create the byte budget of a batch: the bytes its downloads may fetch in
+ * total. Downloads claim bytes as they arrive, so downloads running side by
+ * side share what is left, and give back what a failed attempt fetched.
+ * @param {number} maxBytes - Bytes the batch may fetch
+ * @param {number} used - Bytes already fetched, e.g. by a resumed job
+ * @returns {Object} { maxBytes, remaining, claim, release }
+ */
+export const createByteBudget = (maxBytes, used = 0) => {
+  let claimed = used;
+
+  return {
+    maxBytes,
+
+    // Bytes the batch may still fetch
+    get remaining() {
+      return Math.max(0, maxBytes - claimed);
+    },
+
+    // Claim bytes that arrived. Returns false, claiming nothing, if they
+    // don't fit.
+    claim(bytes) {
+      if (claimed + bytes > maxBytes) {
+        return false;
+      }
+      claimed += bytes;
+      return true;
+    },
+
+    release(bytes) {
+      claimed = Math.max(0, claimed - bytes);
+    },
+  };
+};
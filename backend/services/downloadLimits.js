@@ -0,0 +1,230 @@
+import User from "../models/User.js";
+import AnonymousSession from "../models/AnonymousSession.js";
+import { describeDailyLimit, getPlan } from "../config/plans.js";
+
+// Work out the subscription tier of the requester: anonymous, registered or pro
+export const getTier = async (req) => {
+  if (!req.user) {
+    return "anonymous";
+  }
+
+  // Check if user has active Pro subscription
+  const user = await User.findById(req.user.userId);
+  return user && user.isSubscriptionActive() ? "pro" : "registered";
+};
+
+// Validate the requested URLs, which must be an array of strings, against the
+// per-request limit for this user.
+// Returns an error response ({ status, body }) or null if the batch is allowed.
+export const checkUrlLimit = async (req, urls) => {
+  if (!urls || !Array.isArray(urls) || urls.length === 0) {
+    return {
+      status: 400,
+      body: { error: "Please provide an array of image URLs" },
+    };
+  }
+
+  const invalid = urls.findIndex((url) => typeof url !== "string");
+  if (invalid !== -1) {
+    return {
+      status: 400,
+      body: { error: `URL ${invalid + 1} is not a string` },
+    };
+  }
+
+  // Dynamic URL limit based on user type
+  const tier = await getTier(req);
+  const maxUrlsPerRequest = getPlan(tier).urlsPerRequest;
+
+  if (urls.length > maxUrlsPerRequest) {
+    return {
+      status: 400,
+      body: {
+        error: `Maximum ${maxUrlsPerRequest} URLs allowed per request. You requested ${urls.length} URLs.`,
+        maxAllowed: maxUrlsPerRequest,
+        requested: urls.length,
+        userType: tier,
+      },
+    };
+  }
+
+  return null;
+};
+
+// Check the daily download limit for the user or anonymous session and
+// reserve `urlCount` downloads of it for the batch; recordDownloads gives back
+// the ones that don't succeed.
+// Returns an error response ({ status, body }) or null if the batch is allowed.
+export const reserveDailyDownloads = async (req, urlCount) => {
+  if (req.user) {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return null;
+    }
+
+    const limitCheck = await user.reserveDownloads(urlCount);
+
+    if (!limitCheck.canDownload) {
+      const errorMessage =
+        limitCheck.userType === "registered"
+          ? `Registered users can download up to ${
+              getPlan("registered").dailyDownloads
+            } images per day. Subscribe for ${describeDailyLimit("pro")}.`
+          : "Download limit exceeded";
+
+      return {
+        status: 403,
+        body: {
+          error: errorMessage,
+          userType: limitCheck.userType,
+          limits: {
+            current: limitCheck.current,
+            remaining: limitCheck.remaining,
+            limit: limitCheck.limit,
+            requested: urlCount,
+          },
+        },
+      };
+    }
+
+    return null;
+  }
+
+  // For unauthenticated users, use session-based tracking
+  const { sessionId } = req.body;
+
+  if (!sessionId) {
+    return {
+      status: 400,
+      body: { error: "Session ID required for anonymous users" },
+    };
+  }
+
+  // Get or create anonymous user session by session ID
+  let anonymousSession = await AnonymousSession.findOne({ sessionId });
+
+  if (!anonymousSession) {
+    anonymousSession = new AnonymousSession({
+      sessionId,
+      dailyDownloads: { count: 0, resetDate: new Date() },
+    });
+  }
+
+  const limitCheck = await anonymousSession.reserveDownloads(urlCount);
+
+  if (!limitCheck.canDownload) {
+    return {
+      status: 403,
+      body: {
+        error: `Anonymous users can only download up to ${
+          getPlan("anonymous").dailyDownloads
+        } images per day. Please sign up for ${describeDailyLimit(
+          "registered"
+        )} or subscribe for ${describeDailyLimit("pro")}.`,
+        userType: "anonymous",
+        limit: limitCheck.limit,
+        current: limitCheck.current,
+        remaining: limitCheck.remaining,
+        requested: urlCount,
+      },
+    };
+  }
+
+  return null;
+};
+
+// Find the user or anonymous session a requester stands for
+const findAccount = (requester) =>
+  requester.userId
+    ? User.findById(requester.userId)
+    : AnonymousSession.findOne({ sessionId: requester.sessionId });
+
+// Give back `count` downloads reserved by reserveDailyDownloads
+export const releaseDownloads = async (requester, count) => {
+  const account = count > 0 ? await findAccount(requester) : null;
+  if (account) {
+    await account.releaseDownloads(count);
+  }
+};
+
+// Count successful downloads against the daily limit and record history.
+// Images skipped by the batch's filters count neither as downloaded nor as
+// failed. `requester` is { userId } for authenticated users or { sessionId } otherwise.
+// `options.reserved` is the number of downloads reserved when the batch was
+// queued; only successful downloads keep their reservation.
+// `options.retryOf` marks a retry of an earlier history entry, whose failed
+// URLs are narrowed down to the ones that still fail.
+// `options.batch` holds the { options, failedItems } a retry of this batch
+// reuses (see DownloadJob getRetryBatch).
+// Returns the id of the new history entry, if one was recorded.
+export const recordDownloads = async (
+  requester,
+  urls,
+  results,
+  { jobId, retryOf, reserved = 0, batch = {} } = {}
+) => {
+  const successfulCount = results.filter((r) => r.success).length;
+  const failedUrls = results
+    .filter((r) => !r.success && !r.skipped)
+    .map((r) => r.url);
+
+  const account = await findAccount(requester);
+  if (!account) {
+    return null;
+  }
+
+  // Only successful downloads count, whether reserved or not
+  if (successfulCount > reserved) {
+    await account.updateDailyCount(successfulCount - reserved);
+  } else if (successfulCount < reserved) {
+    await account.releaseDownloads(reserved - successfulCount);
+  }
+
+  // Record history for authenticated users
+  if (!requester.userId) {
+    return null;
+  }
+  const user = account;
+
+  // URLs recovered by a retry no longer count as failed in the original entry
+  const originalEntry = retryOf && user.downloadHistory.id(retryOf);
+  if (originalEntry) {
+    originalEntry.failedUrls = originalEntry.failedUrls.filter((url) =>
+      failedUrls.includes(url)
+    );
+    originalEntry.failedItems = originalEntry.failedItems.filter((item) =>
+      failedUrls.includes(item.url)
+    );
+  }
+
+  // Then update history
+  await user.updateDownloadHistory({
+    urls: urls,
+    failedUrls,
+    successCount: successfulCount,
+    failedCount: failedUrls.length,
+    totalCount: urls.length,
+    jobId,
+    retryOf,
+    options: batch.options,
+    failedItems: batch.failedItems,
+  });
+  const historyEntry = user.downloadHistory[user.downloadHistory.length - 1];
+
+  // Double-check final counts
+  const finalCheck = await user.canDownload(0);
+  console.log("Final download counts:", {
+    userId: user._id,
+    email: user.email,
+    dailyCount: user.dailyDownloads.count,
+    remaining: finalCheck.remaining,
+    successfulDownloads: successfulCount,
+    historyCount: user.downloadHistory.length,
+  });
+
+  return historyEntry._id;
+};
+
+// Identify who a batch belongs to for later quota accounting
+export const getRequester = (req) =>
+  req.user ? { userId: req.user.userId } : { sessionId: req.body.sessionId };
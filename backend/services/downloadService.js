@@ -0,0 +1,361 @@
+import crypto from "crypto";
+import {
+  archiveEntryName,
+  buildFilename,
+  replaceExtension,
+} from "../utils/filename.js";
+import { renderTemplate } from "../utils/filenameTemplate.js";
+import { checkImageType } from "../utils/imageFormat.js";
+import { checkFilters } from "../utils/imageFilters.js";
+import { perceptualHash } from "../utils/perceptualHash.js";
+import {
+  DownloadErrorCodes,
+  DownloadErrorMessages,
+  SizeLimitError,
+  classifyRequestError,
+} from "../utils/downloadErrors.js";
+import { guardedRequest } from "./guardedFetch.js";
+import { processImage } from "./imageProcessor.js";
+
+// Attempts per URL for transient failures (timeouts, 429, 5xx, resets)
+const MAX_ATTEMPTS = parseInt(process.env.DOWNLOAD_MAX_ATTEMPTS, 10) || 3;
+const RETRY_BASE_DELAY = 500;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Exponential backoff with jitter, or the server's Retry-After if longer
+const retryDelay = (attempt, retryAfter) => {
+  const backoff =
+    RETRY_BASE_DELAY * 2 ** (attempt - 1) + Math.random() * RETRY_BASE_DELAY;
+  return Math.max(backoff, retryAfter || 0);
+};
+
+// Failed download outcome with a structured error code
+const failure = (url, code, error, extra = {}) => ({
+  url,
+  success: false,
+  code,
+  error: error || DownloadErrorMessages[code],
+  ...extra,
+});
+
+// Outcome of an image left out by the batch's filters. It isn't counted as
+// downloaded or as failed.
+const skipped = (url, reason) =>
+  failure(url, DownloadErrorCodes.FILTERED, reason, { skipped: true });
+
+// SHA-256 of downloaded bytes, used to spot identical images
+const contentHash = (data) =>
+  crypto.createHash("sha256").update(data).digest("hex");
+
+// Name of a downloaded image inside the archive. A requested filename (from
+// an imported column) wins over the naming template, which wins over the
+// name taken from the URL. Retried URLs keep the position `naming.index`
+// they had in their first batch.
+const entryName = (url, position, contentType, data, naming = {}) => {
+  const {
+    template,
+    columns,
+    n,
+    date,
+    index: batchIndex,
+    ...requested
+  } = naming;
+  const index = batchIndex ?? position;
+
+  if (template && !requested.filename) {
+    const rendered = renderTemplate(template, {
+      url,
+      index,
+      n,
+      columns,
+      data,
+      contentType,
+      date,
+    });
+
+    if (rendered) {
+      return archiveEntryName(rendered.filename, contentType, {
+        filename: rendered.filename,
+        folder: [requested.folder, rendered.folder].filter(Boolean).join("/"),
+      });
+    }
+  }
+
+  return archiveEntryName(
+    buildFilename(url, contentType, index),
+    contentType,
+    requested
+  );
+};
+
+// Successful download outcome, after the batch's processing (resizing,
+// format conversion, metadata, thumbnails) has been applied. `format` is
+// the type detected from the bytes (see checkImageType). Batches that look
+// for near-duplicates get the perceptual hash of the image as fetched.
+const success = async (url, index, data, format, options) => {
+  const { naming, processing, similarity } = options;
+  const { type: contentType, animated, declaredType } = format;
+  let output;
+
+  try {
+    output = await processImage(data, contentType, processing);
+  } catch (error) {
+    console.error(`Failed to process ${url}:`, error.message);
+    return failure(url, DownloadErrorCodes.PROCESSING_FAILED);
+  }
+
+  const perceptual = similarity?.algorithm
+    ? await perceptualHash(data, similarity.algorithm)
+    : null;
+
+  const converted = output.contentType !== contentType;
+  const filename = entryName(
+    url,
+    index,
+    output.contentType,
+    output.data,
+    naming
+  );
+
+  return {
+    url,
+    success: true,
+    // Names taken from the URL or the request keep their original extension,
+    // which is wrong for converted images and images served as another type
+    filename:
+      converted || declaredType
+        ? replaceExtension(filename, output.contentType)
+        : filename,
+    size: output.data.length,
+    contentType: output.contentType,
+    ...(converted && { originalType: contentType }),
+    ...(declaredType && { declaredType }),
+    ...(animated && { animated: true }),
+    hash: contentHash(output.data),
+    data: output.data,
+    ...(output.svg && { svgData: output.svg }),
+    ...(output.thumbnail && {
+      thumbnailData: output.thumbnail,
+      thumbnailType: output.thumbnailType,
+    }),
+    ...(output.exif && { exif: output.exif }),
+    ...(perceptual && { perceptual }),
+  };
+};
+
+// Error for a body that doesn't fit what is left of the batch's byte budget
+const batchTooLarge = (budget) =>
+  new SizeLimitError(
+    DownloadErrorCodes.BATCH_TOO_LARGE,
+    `Batch is over its limit of ${budget.maxBytes} bytes`
+  );
+
+// Single fetch attempt for an image URL. The body is streamed so size limits
+// can be enforced as it arrives (see readBody).
+const requestImage = (url, isSvg) =>
+  guardedRequest({
+    method: "get",
+    url,
+    responseType: "stream",
+    timeout: 30000,
+    headers: {
+      Accept: isSvg
+        ? "image/svg+xml,text/plain"
+        : "image/*,application/octet-stream",
+      "User-Agent":
+        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
+      Referer: url,
+    },
+    // Follow redirects for image URLs
+    maxRedirects: 5,
+    validateStatus: function (status) {
+      return status >= 200 && status < 400; // Accept redirects
+    },
+  });
+
+// Read a streamed response body into a buffer. The body must fit both the
+// file size limit and what is left of the batch's byte budget: a
+// Content-Length over either ends the download before the body is read, and
+// so does a running byte count that goes over. The bytes of a body that
+// isn't read to the end are given back to the budget.
+const readBody = (response, { maxFileSize, budget }, onProgress) =>
+  new Promise((resolve, reject) => {
+    const stream = response.data;
+    const total = parseInt(response.headers["content-length"], 10) || null;
+    const chunks = [];
+    let loaded = 0;
+
+    const fail = (error) => {
+      stream.destroy();
+      budget?.release(loaded);
+      reject(error);
+    };
+
+    const tooLarge = (bytes) =>
+      maxFileSize && bytes > maxFileSize
+        ? new SizeLimitError(
+            DownloadErrorCodes.TOO_LARGE,
+            `Image is over the limit of ${maxFileSize} bytes`
+          )
+        : null;
+
+    const early =
+      tooLarge(total) ||
+      (budget && total > budget.remaining ? batchTooLarge(budget) : null);
+    if (early) {
+      return fail(early);
+    }
+
+    stream.on("data", (chunk) => {
+      const error =
+        tooLarge(loaded + chunk.length) ||
+        (budget && !budget.claim(chunk.length) ? batchTooLarge(budget) : null);
+      if (error) {
+        return fail(error);
+      }
+      loaded += chunk.length;
+      chunks.push(chunk);
+      onProgress?.({ loaded, total });
+    });
+    stream.on("end", () => resolve(Buffer.concat(chunks)));
+    stream.on("error", fail);
+  });
+
+/**
+ * Download a single image and describe the outcome.
+ * Successful downloads carry the raw bytes in `data` so callers can either
+ * stream them into an archive or encode them for a JSON response.
+ * @param {string} url - Image URL
+ * @param {number} index - Position of the URL in the batch (for fallback names)
+ * @param {Object} options - Download options
+ * @param {Function} options.onProgress - Called with { loaded, total } as bytes arrive
+ * @param {Function} options.onRetry - Called with { attempt, code, delay } before a retry
+ * @param {Object} options.naming - Requested { filename, folder } for the archive entry,
+ *   plus the batch's naming { template, columns, n, date } (see filenameTemplate.js)
+ * @param {Object} options.processing - The batch's processing, e.g.
+ *   { convert, resize, thumbnails, svg, metadata } (see imageProcessor.js)
+ * @param {Object} options.filters - The batch's filters, e.g. { minWidth,
+ *   formats } (see imageFilters.js); images that fail them are skipped
+ * @param {Object} options.similarity - The batch's near-duplicate detection,
+ *   { algorithm, threshold, keep } (see perceptualHash.js)
+ * @param {number} options.maxFileSize - Largest image to fetch, in bytes
+ * @param {Object} options.budget - The batch's byte budget (see
+ *   byteBudget.js); once it runs out, images fail as BATCH_TOO_LARGE
+ * @returns {Promise<Object>} { url, success, filename, size, contentType, originalType, declaredType, animated, hash, perceptual, exif, data, svgData, thumbnailData, thumbnailType, attempts } or { url, success: false, code, error, attempts, skipped }
+ */
+export const downloadImage = async (
+  url,
+  index,
+  {
+    onProgress,
+    onRetry,
+    naming,
+    processing,
+    filters,
+    similarity,
+    maxFileSize,
+    budget,
+  } = {}
+) => {
+  // SVG URLs are requested as text, and fail as invalid SVGs
+  const isSvg = url.toLowerCase().split("?")[0].endsWith(".svg");
+  let response;
+  let data;
+
+  if (budget && budget.remaining === 0) {
+    const { code, message } = batchTooLarge(budget);
+    return failure(url, code, message);
+  }
+
+  // Attempts the fetch took, reported with every outcome after it
+  let attempts = 0;
+
+  for (let attempt = 1; ; attempt++) {
+    attempts = attempt;
+    try {
+      response = await requestImage(url, isSvg);
+      if (response.status !== 200) {
+        response.data.destroy();
+        break;
+      }
+      data = await readBody(response, { maxFileSize, budget }, onProgress);
+      break;
+    } catch (downloadError) {
+      const { code, message, retryable, retryAfter } =
+        classifyRequestError(downloadError);
+
+      if (code === DownloadErrorCodes.BLOCKED) {
+        console.warn(`Blocked download of ${url}:`, downloadError.message);
+        return failure(url, code, message, {
+          blocked: true,
+          attempts: attempt,
+        });
+      }
+
+      if (!retryable || attempt >= MAX_ATTEMPTS) {
+        console.error(
+          `Failed to download ${url} after ${attempt} attempt(s):`,
+          downloadError.message
+        );
+        return failure(url, code, message, { attempts: attempt });
+      }
+
+      const delay = retryDelay(attempt, retryAfter);
+      console.warn(
+        `Retrying ${url} in ${Math.round(
+          delay
+        )}ms (${code}, attempt ${attempt})`
+      );
+      onRetry?.({ attempt, code, delay });
+      await wait(delay);
+    }
+  }
+
+  if (response.status !== 200) {
+    return failure(url, `HTTP_${response.status}`, `HTTP ${response.status}`, {
+      attempts,
+    });
+  }
+
+  const contentType = response.headers["content-type"] || "";
+
+  if (data.length === 0) {
+    return failure(url, DownloadErrorCodes.EMPTY_RESPONSE, null, { attempts });
+  }
+
+  // The bytes decide the type; the content-type header is checked against
+  // them
+  const format = checkImageType(data, contentType);
+
+  if (!format) {
+    console.log(
+      `Not an image file: ${url}, first bytes:`,
+      data.subarray(0, 4).toString("hex")
+    );
+    return failure(
+      url,
+      isSvg ? DownloadErrorCodes.INVALID_SVG : DownloadErrorCodes.NOT_AN_IMAGE,
+      null,
+      { attempts }
+    );
+  }
+
+  if (format.declaredType) {
+    console.warn(
+      `${url} is served as ${format.declaredType} but is ${format.type}`
+    );
+  }
+
+  const skipReason = await checkFilters(filters, data, format.type);
+  if (skipReason) {
+    return skipped(url, skipReason);
+  }
+
+  const outcome = await success(url, index, data, format, {
+    naming,
+    processing,
+    similarity,
+  });
+  return { ...outcome, attempts };
+};
@@ -0,0 +1,75 @@
+// Get the hostname used for per-host limits (invalid URLs share one bucket)
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return "";
+  }
+};
+
+/**
+ * Create a scheduler that runs fetch tasks with a cap on the total number in
+ * flight and a separate cap per hostname. Tasks start in the order they were
+ * scheduled, except that a task whose host is at its cap lets tasks for other
+ * hosts go first.
+ * @param {Object} limits - { concurrency, perHost }
+ * @returns {Object} { schedule }
+ */
+export const createFetchScheduler = ({ concurrency, perHost }) => {
+  const waiting = [];
+  const activeByHost = new Map();
+  let active = 0;
+
+  const next = () => {
+    while (active < concurrency) {
+      const position = waiting.findIndex(
+        (task) => (activeByHost.get(task.host) || 0) < perHost
+      );
+      if (position === -1) {
+        return;
+      }
+
+      const [task] = waiting.splice(position, 1);
+      active++;
+      activeByHost.set(task.host, (activeByHost.get(task.host) || 0) + 1);
+
+      Promise.resolve()
+        .then(task.run)
+        .then(task.resolve, task.reject)
+        .finally(() => {
+          active--;
+          activeByHost.set(task.host, activeByHost.get(task.host) - 1);
+          next();
+        });
+    }
+  };
+
+  return {
+    /**
+     * Run a task for a URL once the limits allow it
+     * @param {string} url - URL the task fetches (used for the per-host cap)
+     * @param {Function} run - Async task
+     * @returns {Promise} Resolves with the task's result
+     */
+    schedule(url, run) {
+      return new Promise((resolve, reject) => {
+        waiting.push({ host: hostOf(url), run, resolve, reject });
+        next();
+      });
+    },
+  };
+};
+
+/**
+ * Run a task for every URL through a fetch scheduler
+ * @param {string[]} urls - URLs to process
+ * @param {Object} limits - { concurrency, perHost }
+ * @param {Function} task - Called with (url, index); may return a value
+ * @returns {Promise<Array>} Task results in URL order
+ */
+export const mapScheduled = (urls, limits, task) => {
+  const scheduler = createFetchScheduler(limits);
+  return Promise.all(
+    urls.map((url, index) => scheduler.schedule(url, () => task(url, index)))
+  );
+};
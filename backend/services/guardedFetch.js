@@ -0,0 +1,215 @@
+import axios, { AxiosError } from "axios";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+
+// Raised when a URL (or a redirect hop) points somewhere we refuse to fetch
+export class BlockedUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BlockedUrlError";
+    this.code = "BLOCKED";
+  }
+}
+
+const ALLOWED_PROTOCOLS = ["http:", "https:"];
+
+// Addresses that must never be fetched on a user's behalf: loopback, private
+// (RFC 1918 / unique local), link-local (incl. cloud metadata at
+// 169.254.169.254), carrier-grade NAT, multicast and reserved ranges.
+// BlockList applies the IPv4 rules to IPv4-mapped IPv6 addresses as well.
+const blockedAddresses = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([network, prefix]) =>
+  blockedAddresses.addSubnet(network, prefix, "ipv4")
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["::", 96], // IPv4-compatible (deprecated), which embeds any IPv4 address
+  ["64:ff9b::", 96], // NAT64
+  ["100::", 64], // Discard
+  ["2001:db8::", 32], // Documentation
+  ["2002::", 16], // 6to4, which embeds any IPv4 address
+  ["fc00::", 7], // Unique local
+  ["fe80::", 10], // Link-local
+  ["ff00::", 8], // Multicast
+].forEach(([network, prefix]) =>
+  blockedAddresses.addSubnet(network, prefix, "ipv6")
+);
+
+// Check whether an IP address is in a blocked range
+export const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+  return blockedAddresses.check(address, family === 6 ? "ipv6" : "ipv4");
+};
+
+// DNS lookup that refuses blocked addresses. Used by the HTTP agents so the
+// address actually connected to is checked, not just an earlier resolution.
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(
+        new BlockedUrlError(
+          `${hostname} resolves to a private or reserved address (${blocked.address})`
+        )
+      );
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const httpAgent = new http.Agent({ lookup: guardedLookup });
+const httpsAgent = new https.Agent({ lookup: guardedLookup });
+
+/**
+ * Make sure a URL may be fetched: http(s) only, and neither an IP literal
+ * nor a hostname that resolves to a blocked address
+ * @param {string} url - URL to check
+ * @returns {Promise<URL>} Parsed URL
+ * @throws {BlockedUrlError} If the URL is not allowed
+ */
+export const assertAllowedUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new BlockedUrlError("Invalid URL");
+  }
+
+  if (!ALLOWED_PROTOCOLS.includes(parsed.protocol)) {
+    throw new BlockedUrlError(`Protocol ${parsed.protocol} is not allowed`);
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, "");
+
+  // IP literals never go through DNS, so check them directly
+  if (net.isIP(hostname)) {
+    if (isBlockedAddress(hostname)) {
+      throw new BlockedUrlError(
+        `${hostname} is a private or reserved address`
+      );
+    }
+    return parsed;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch {
+    // Let the request itself report DNS failures
+    return parsed;
+  }
+
+  const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+  if (blocked) {
+    throw new BlockedUrlError(
+      `${hostname} resolves to a private or reserved address (${blocked.address})`
+    );
+  }
+
+  return parsed;
+};
+
+/**
+ * axios request that refuses private, loopback and link-local targets.
+ * Redirects are followed manually so every hop is checked.
+ * @param {Object} config - axios request config (`maxRedirects` defaults to 5)
+ * @returns {Promise<Object>} axios response, with `finalUrl` set to the URL
+ *   after redirects
+ * @throws {BlockedUrlError} If the URL or any redirect target is not allowed
+ */
+export const guardedRequest = async ({
+  url,
+  maxRedirects = 5,
+  validateStatus = (status) => status >= 200 && status < 300,
+  ...config
+}) => {
+  let currentUrl = url;
+
+  for (let hop = 0; ; hop++) {
+    await assertAllowedUrl(currentUrl);
+
+    let response;
+    try {
+      response = await axios.request({
+        ...config,
+        url: currentUrl,
+        maxRedirects: 0,
+        httpAgent,
+        httpsAgent,
+        validateStatus: () => true,
+      });
+    } catch (error) {
+      if (error.cause instanceof BlockedUrlError) {
+        throw error.cause;
+      }
+      throw error;
+    }
+
+    const location = response.headers.location;
+    if (response.status >= 300 && response.status < 400 && location) {
+      if (hop >= maxRedirects) {
+        throw new AxiosError(
+          `Maximum number of redirects exceeded (${maxRedirects})`,
+          AxiosError.ERR_FR_TOO_MANY_REDIRECTS,
+          config,
+          null,
+          response
+        );
+      }
+
+      // Don't leave the redirect body hanging when streaming
+      if (typeof response.data?.destroy === "function") {
+        response.data.destroy();
+      }
+      currentUrl = new URL(location, currentUrl).toString();
+      continue;
+    }
+
+    if (!validateStatus(response.status)) {
+      if (typeof response.data?.destroy === "function") {
+        response.data.destroy();
+      }
+      throw new AxiosError(
+        `Request failed with status code ${response.status}`,
+        response.status >= 500
+          ? AxiosError.ERR_BAD_RESPONSE
+          : AxiosError.ERR_BAD_REQUEST,
+        config,
+        null,
+        response
+      );
+    }
+
+    response.finalUrl = currentUrl;
+    return response;
+  }
+};
@@ -0,0 +1,420 @@
+import sharp from "sharp";
+import { describeExif, safeExif } from "../utils/exif.js";
+
+// Raised when the processing options of a batch can't be used
+export class ProcessingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ProcessingError";
+    this.code = "INVALID_PROCESSING";
+  }
+}
+
+// Formats images can be converted to, with the type they are saved as
+export const OUTPUT_FORMATS = {
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+  avif: "image/avif",
+};
+
+// Quality used when a batch doesn't ask for one
+const DEFAULT_QUALITY = { jpeg: 85, webp: 80, avif: 50 };
+
+// Other names accepted for the output formats
+const FORMAT_ALIASES = { jpg: "jpeg" };
+
+/**
+ * Read the format conversion of a batch request.
+ * @param {string|Object} convert - Format name, or { format, quality }
+ * @returns {Object|null} { format, quality }, or null to keep the original
+ *   format. `quality` is only set when requested.
+ * @throws {ProcessingError} On unknown formats or invalid quality
+ */
+export const parseConversion = (convert) => {
+  if (!convert) {
+    return null;
+  }
+
+  const { format: requested, quality } =
+    typeof convert === "string" ? { format: convert } : convert;
+  const format = FORMAT_ALIASES[requested] || requested;
+
+  if (!Object.hasOwn(OUTPUT_FORMATS, format)) {
+    throw new ProcessingError(
+      `Unknown output format "${requested}" (use ${Object.keys(
+        OUTPUT_FORMATS
+      ).join(", ")})`
+    );
+  }
+
+  if (quality === undefined || format === "png") {
+    return { format };
+  }
+
+  if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+    throw new ProcessingError("Quality must be a whole number from 1 to 100");
+  }
+  return { format, quality };
+};
+
+// How a resized image fits the requested box:
+// inside  - shrink to fit within width x height, keeping the aspect ratio
+// contain - fit within the box and pad the rest (white in JPEG)
+// cover   - fill the box, cropping what sticks out
+export const FIT_MODES = ["inside", "contain", "cover"];
+
+const MAX_DIMENSION = 10000;
+
+// Box of the thumbnails when a batch asks for them without one
+const DEFAULT_THUMBNAIL = { width: 200, height: 200, fit: "inside" };
+
+// Folder of the archive the thumbnails are stored in
+export const THUMBNAIL_FOLDER = "thumbs";
+
+/**
+ * Read a resize box of a batch request.
+ * @param {Object} box - { width, height, fit }, at least one dimension
+ * @param {string} name - Name of the option, for error messages
+ * @returns {Object|null} { width, height, fit }, or null for no resizing
+ * @throws {ProcessingError} On invalid dimensions or fit modes
+ */
+export const parseResize = (box, name = "resize") => {
+  if (!box) {
+    return null;
+  }
+
+  const { width, height, fit = "inside" } = box;
+  for (const [label, value] of Object.entries({ width, height })) {
+    if (
+      value !== undefined &&
+      (!Number.isInteger(value) || value < 1 || value > MAX_DIMENSION)
+    ) {
+      throw new ProcessingError(
+        `${name} ${label} must be a whole number from 1 to ${MAX_DIMENSION}`
+      );
+    }
+  }
+  if (width === undefined && height === undefined) {
+    throw new ProcessingError(`${name} needs a width or a height`);
+  }
+  if (!FIT_MODES.includes(fit)) {
+    throw new ProcessingError(
+      `Unknown fit mode "${fit}" (use ${FIT_MODES.join(", ")})`
+    );
+  }
+
+  return { width, height, fit };
+};
+
+// What happens to SVG images:
+// convert - rasterized (to PNG, or the batch's `convert` format)
+// keep    - stored as they are
+// both    - rasterized, with the SVG stored next to the raster image
+export const SVG_MODES = ["convert", "keep", "both"];
+
+// Largest multiple of their intrinsic size SVGs are rasterized at
+export const MAX_SVG_SCALE = 10;
+
+// Resolution of CSS pixels, at which an SVG renders at its intrinsic size
+const CSS_DPI = 96;
+
+// Density at which sharp renders an SVG at its intrinsic size, and the
+// densities it accepts
+const SVG_DENSITY = 72;
+const MIN_DENSITY = 1;
+const MAX_DENSITY = 100000;
+
+/**
+ * Read the SVG handling of a batch request.
+ * @param {Object} svg - { mode, scale, dpi }, where the PNG is rendered at
+ *   `scale` times the SVG's intrinsic size (from its width/height or
+ *   viewBox) or at `dpi`, 96 DPI being the intrinsic size
+ * @returns {Object} { mode, scale, dpi }, `scale` and `dpi` only when set
+ * @throws {ProcessingError} On unknown modes or invalid sizes
+ */
+export const parseSvgOptions = (svg) => {
+  const { mode = "convert", scale, dpi } = svg || {};
+
+  if (!SVG_MODES.includes(mode)) {
+    throw new ProcessingError(
+      `Unknown SVG mode "${mode}" (use ${SVG_MODES.join(", ")})`
+    );
+  }
+  if (scale !== undefined && dpi !== undefined) {
+    throw new ProcessingError("Set either an SVG scale or a DPI, not both");
+  }
+  if (
+    scale !== undefined &&
+    (typeof scale !== "number" || !(scale > 0) || scale > MAX_SVG_SCALE)
+  ) {
+    throw new ProcessingError(
+      `SVG scale must be a number above 0 and at most ${MAX_SVG_SCALE}`
+    );
+  }
+  if (
+    dpi !== undefined &&
+    (!Number.isInteger(dpi) || dpi < 1 || dpi > CSS_DPI * MAX_SVG_SCALE)
+  ) {
+    throw new ProcessingError(
+      `SVG DPI must be a whole number from 1 to ${CSS_DPI * MAX_SVG_SCALE}`
+    );
+  }
+
+  return {
+    mode,
+    ...(scale !== undefined && { scale }),
+    ...(dpi !== undefined && { dpi }),
+  };
+};
+
+// What happens to EXIF, ICC, XMP and IPTC metadata:
+// keep    - kept, also when the image is re-encoded
+// private - location (GPS) and personal fields are removed; camera, lens
+//           and dates are kept
+// strip   - everything is removed
+// Without a choice, untouched images keep their metadata and re-encoded
+// images lose it.
+export const METADATA_MODES = ["keep", "private", "strip"];
+
+/**
+ * Read the image processing options of a batch request.
+ * @param {Object} body - Request body with optional `convert`, `resize`,
+ *   `thumbnails` (true for 200x200 thumbnails, or a { width, height, fit }
+ *   box), `svg` (see parseSvgOptions), `metadata`, `autoRotate` and
+ *   `extractExif`
+ * @returns {Object} { convert, resize, thumbnails, svg, metadata,
+ *   autoRotate, extractExif }
+ * @throws {ProcessingError} On invalid options
+ */
+export const parseProcessing = ({
+  convert,
+  resize,
+  thumbnails,
+  svg,
+  metadata,
+  autoRotate,
+  extractExif,
+} = {}) => {
+  if (metadata !== undefined && !METADATA_MODES.includes(metadata)) {
+    throw new ProcessingError(
+      `Unknown metadata mode "${metadata}" (use ${METADATA_MODES.join(", ")})`
+    );
+  }
+
+  return {
+    convert: parseConversion(convert),
+    resize: parseResize(resize),
+    thumbnails: parseResize(
+      thumbnails === true ? DEFAULT_THUMBNAIL : thumbnails,
+      "thumbnails"
+    ),
+    svg: parseSvgOptions(svg),
+    metadata: metadata || null,
+    autoRotate: autoRotate === true,
+    extractExif: extractExif === true,
+  };
+};
+
+// Types we can write, for images that are resized but not converted.
+// Others (e.g. SVG) are saved as PNG.
+const WRITABLE_TYPES = {
+  ...OUTPUT_FORMATS,
+  gif: "image/gif",
+  tiff: "image/tiff",
+};
+
+// Encode an image in the requested output format
+const encode = (image, { format, quality = DEFAULT_QUALITY[format] }) => {
+  switch (format) {
+    case "jpeg":
+      // JPEG has no transparency, so transparent areas become white
+      return image
+        .flatten({ background: "#ffffff" })
+        .jpeg({ quality, mozjpeg: true });
+    case "webp":
+      return image.webp({ quality });
+    case "avif":
+      return image.avif({ quality });
+    case "gif":
+      return image.gif();
+    case "tiff":
+      return image.tiff();
+    default:
+      return image.png({ compressionLevel: 9 });
+  }
+};
+
+// Density to rasterize an SVG of `size` (as sharp reads it) at: `scale`
+// times its intrinsic size, or whatever fills `box` when there is one, since
+// an SVG can be drawn at any size without loss. Nothing is drawn larger
+// than MAX_DIMENSION.
+const svgDensity = ({ width, height }, scale, box) => {
+  let factor = scale;
+  if (box) {
+    const factors = [box.width / width, box.height / height].filter(
+      (value) => value > 0
+    );
+    factor = box.fit === "cover" ? Math.max(...factors) : Math.min(...factors);
+  }
+  const density =
+    SVG_DENSITY * Math.min(factor, MAX_DIMENSION / Math.max(width, height));
+  return Math.min(MAX_DENSITY, Math.max(MIN_DENSITY, density));
+};
+
+// Decode an image, rotate it upright and resize it into a box if asked,
+// and encode it with the metadata the batch wants. Animations survive only
+// in formats that support them. SVGs are rendered at `density`, which
+// already sizes them for the box.
+const render = (data, output, box, options) => {
+  const { animated, rotate, metadata, exif, density } = options;
+  const image = sharp(data, {
+    animated: animated && ["webp", "gif"].includes(output.format),
+    ...(density && { density }),
+  });
+  if (rotate) {
+    image.rotate();
+  }
+  if (metadata === "keep") {
+    image.keepMetadata();
+  } else if (metadata === "private") {
+    image.keepIccProfile().withExif(safeExif(exif));
+  }
+  if (box) {
+    image.resize({
+      width: box.width,
+      height: box.height,
+      fit: box.fit,
+      // Padding of "contain" is transparent where the format allows it
+      background: { r: 255, g: 255, b: 255, alpha: 0 },
+      withoutEnlargement: !density,
+    });
+  }
+  return encode(image, output).toBuffer();
+};
+
+/**
+ * Apply a batch's processing to one downloaded image: resizing, format
+ * conversion, rotation, metadata stripping and a thumbnail. Images that need
+ * none of it are kept as they are, to avoid re-encoding losses. Images
+ * that lose their orientation tag are rotated upright first, and so are
+ * thumbnails. SVGs are rasterized unless the batch keeps them (see
+ * SVG_MODES), at their intrinsic size times the batch's scale, or to fill
+ * the resize box.
+ * @param {Buffer} data - Image bytes
+ * @param {string} contentType - Detected MIME type
+ * @param {Object} processing - Options from parseProcessing
+ * @returns {Promise<Object>} { data, contentType, svg, thumbnail,
+ *   thumbnailType, exif } of the processed image, where `svg` holds the
+ *   bytes of an SVG kept next to its raster image, `thumbnail` those of the
+ *   thumbnail and `exif` describes the source image (see describeExif), if
+ *   requested. A thumbnail that can't be made is left out.
+ * @throws {Error} If the image can't be decoded or encoded
+ */
+export const processImage = async (data, contentType, processing) => {
+  const {
+    convert,
+    resize,
+    thumbnails,
+    svg,
+    metadata = null,
+    autoRotate = false,
+    extractExif = false,
+  } = processing || {};
+  const sourceType = contentType
+    .split(";")[0]
+    .trim()
+    .toLowerCase()
+    .replace("image/jpg", "image/jpeg");
+  const sourceFormat = Object.keys(WRITABLE_TYPES).find(
+    (format) => WRITABLE_TYPES[format] === sourceType
+  );
+
+  // Mongoose leaves empty objects for options a job doesn't use
+  const box = resize?.width || resize?.height ? resize : null;
+  const thumbnailBox =
+    thumbnails?.width || thumbnails?.height ? thumbnails : null;
+  const output = convert?.format
+    ? convert
+    : { format: sourceFormat || "png", quality: undefined };
+  const converting =
+    Boolean(convert?.format) &&
+    (convert.format !== sourceFormat || convert.quality !== undefined);
+  const stripping = metadata === "private" || metadata === "strip";
+  const isSvg = sourceType === "image/svg+xml";
+  const svgMode = svg?.mode || "convert";
+  // Formats sharp can't read (e.g. ICO or HEIC) have no metadata to act on
+  const info =
+    autoRotate || stripping || extractExif || isSvg
+      ? await sharp(data)
+          .metadata()
+          .catch(() => ({}))
+      : {};
+  const hasMetadata = Boolean(info.exif || info.icc || info.xmp || info.iptc);
+
+  // Density an SVG is rasterized at to fit a box, if any
+  const svgScale = svg?.dpi ? svg.dpi / CSS_DPI : svg?.scale || 1;
+  const densityFor = (fitBox) =>
+    isSvg && info.width && info.height
+      ? svgDensity(info, svgScale, fitBox)
+      : undefined;
+
+  const keepOriginal = isSvg
+    ? svgMode === "keep"
+    : !box &&
+      !converting &&
+      !(autoRotate && info.orientation > 1) &&
+      !(stripping && hasMetadata);
+  const exif = extractExif ? describeExif(info) : undefined;
+
+  if (keepOriginal && !thumbnailBox) {
+    return { data, contentType, exif };
+  }
+
+  let rendered = null;
+  if (!keepOriginal) {
+    try {
+      rendered = await render(data, output, box, {
+        animated: true,
+        // Only kept metadata still tells viewers how to rotate the image
+        rotate: autoRotate || metadata !== "keep",
+        metadata,
+        exif: info.exif,
+        density: densityFor(box),
+      });
+    } catch (error) {
+      // Images sharp can't decode (e.g. BMP) are stored as fetched when they
+      // were only to be resized; a conversion they can't get still fails
+      if (converting || isSvg) {
+        throw error;
+      }
+      console.warn("Failed to resize, keeping the original:", error.message);
+    }
+  }
+
+  const processed = {
+    data: rendered || data,
+    contentType: rendered ? WRITABLE_TYPES[output.format] : contentType,
+    ...(isSvg && svgMode === "both" && { svg: data }),
+    exif,
+  };
+  if (!thumbnailBox) {
+    return processed;
+  }
+
+  // Images sharp can't decode (e.g. BMP) are still stored, just without a
+  // thumbnail
+  try {
+    return {
+      ...processed,
+      thumbnail: await render(data, output, thumbnailBox, {
+        rotate: true,
+        density: densityFor(thumbnailBox),
+      }),
+      thumbnailType: WRITABLE_TYPES[output.format],
+    };
+  } catch (error) {
+    console.warn("Failed to make a thumbnail:", error.message);
+    return processed;
+  }
+};
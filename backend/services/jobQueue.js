@@ -0,0 +1,484 @@
+import fs from "fs/promises";
+import { createReadStream } from "fs";
+import os from "os";
+import path from "path";
+import DownloadJob from "../models/DownloadJob.js";
+import { downloadImage } from "./downloadService.js";
+import { recordDownloads, releaseDownloads } from "./downloadLimits.js";
+import batchEvents from "./batchEvents.js";
+import { mapScheduled } from "./fetchScheduler.js";
+import { getFetchLimits, getSizeLimits } from "../config/plans.js";
+import { createByteBudget } from "./byteBudget.js";
+import { createEntryTracker } from "./archiveService.js";
+import { THUMBNAIL_FOLDER } from "./imageProcessor.js";
+import { findSimilarImages } from "../utils/perceptualHash.js";
+import { replaceExtension } from "../utils/filename.js";
+import {
+  DownloadErrorCodes,
+  DownloadErrorMessages,
+} from "../utils/downloadErrors.js";
+
+// Minimum time between "progress" events for a single URL
+const PROGRESS_EVENT_INTERVAL = 250;
+
+// Who a job's downloads count against
+const jobRequester = (job) =>
+  job.owner.userId
+    ? { userId: job.owner.userId }
+    : { sessionId: job.owner.sessionId };
+
+// Background worker pool for download jobs. Job state lives in MongoDB and
+// fetched images are written to disk, so an interrupted job picks up where it
+// left off after a restart.
+class JobQueue {
+  constructor() {
+    this.storageDir =
+      process.env.JOB_STORAGE_DIR || path.join(os.tmpdir(), "bulkyload-jobs");
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+    this.pending = [];
+    this.running = new Set();
+    this.cleanupTimer = null;
+  }
+
+  // Directory holding the fetched images of a job
+  jobDirectory(jobId) {
+    return path.join(this.storageDir, jobId.toString());
+  }
+
+  // Path of a single fetched image, keyed by its position in the batch
+  itemPath(jobId, index) {
+    return path.join(this.jobDirectory(jobId), String(index));
+  }
+
+  // Path of the thumbnail of a fetched image
+  thumbnailPath(jobId, index) {
+    return `${this.itemPath(jobId, index)}.thumb`;
+  }
+
+  // Path of the SVG kept next to a rasterized image
+  svgPath(jobId, index) {
+    return `${this.itemPath(jobId, index)}.svg`;
+  }
+
+  // Add a job to the queue and start workers if there is capacity
+  enqueue(jobId) {
+    const id = jobId.toString();
+    if (!this.pending.includes(id) && !this.running.has(id)) {
+      this.pending.push(id);
+    }
+    this.drain();
+  }
+
+  drain() {
+    while (this.running.size < this.concurrency && this.pending.length > 0) {
+      const jobId = this.pending.shift();
+      this.running.add(jobId);
+
+      this.runJob(jobId)
+        .catch((error) => {
+          console.error(`Download job ${jobId} failed:`, error);
+          return DownloadJob.updateOne(
+            { _id: jobId },
+            { status: "failed", error: error.message, completedAt: new Date() }
+          )
+            .then(() => this.releaseReservation(jobId))
+            .then(() => batchEvents.publish(jobId, { type: "complete" }));
+        })
+        .catch((error) => {
+          console.error(`Failed to mark job ${jobId} as failed:`, error);
+        })
+        .finally(() => {
+          this.running.delete(jobId);
+          this.drain();
+        });
+    }
+  }
+
+  async runJob(jobId) {
+    const job = await DownloadJob.findById(jobId);
+    if (!job || job.status === "completed" || job.status === "failed") {
+      return;
+    }
+
+    await fs.mkdir(this.jobDirectory(jobId), { recursive: true });
+
+    job.status = "running";
+    job.startedAt = job.startedAt || new Date();
+    await job.save();
+
+    console.log(`Running download job ${jobId} (${job.items.length} URLs)`);
+
+    const pendingItems = job.items.filter(
+      (item) => !["done", "failed", "skipped"].includes(item.status)
+    );
+
+    for (const item of pendingItems) {
+      batchEvents.publish(jobId, {
+        type: "queued",
+        index: item.index,
+        url: item.url,
+      });
+    }
+
+    // Images a resumed job already fetched count against its size limit
+    const { maxFileSize, maxBatchSize } = getSizeLimits(job.tier);
+    const budget = createByteBudget(
+      maxBatchSize,
+      job.items
+        .filter((item) => item.status === "done")
+        .reduce((total, item) => total + (item.size || 0), 0)
+    );
+
+    const urls = pendingItems.map((item) => item.url);
+    await mapScheduled(urls, getFetchLimits(job.tier), async (url, i) => {
+      const item = pendingItems[i];
+      // A failure to store one image fails that image, not the whole batch
+      // while its other fetches are still running
+      try {
+        await this.fetchItem(job, item, { maxFileSize, budget });
+      } catch (error) {
+        await this.failItem(job, item, error);
+      }
+    });
+
+    await this.settleEntries(job);
+
+    // Downloads are counted before the job is saved as completed, so a
+    // completed job has always been counted
+    if (!job.countedDownloads) {
+      job.historyEntryId = await recordDownloads(
+        jobRequester(job),
+        job.items.map((item) => item.url),
+        job.getResults(),
+        {
+          jobId: job._id,
+          retryOf: job.retryOf,
+          reserved: job.reservedDownloads,
+          batch: job.getRetryBatch(),
+        }
+      );
+      job.countedDownloads = true;
+    }
+
+    job.status = "completed";
+    job.completedAt = new Date();
+    await job.save();
+
+    batchEvents.publish(jobId, { type: "complete" });
+
+    console.log(`Download job ${jobId} completed:`, job.getSummary());
+  }
+
+  // Fetch one item of a job, store its files and publish its outcome
+  async fetchItem(job, item, { maxFileSize, budget }) {
+    const jobId = job._id.toString();
+
+    await this.updateItem(job, item, { status: "fetching" });
+    batchEvents.publish(jobId, {
+      type: "fetching",
+      index: item.index,
+      url: item.url,
+    });
+
+    let lastProgressAt = 0;
+    const download = await downloadImage(item.url, item.index, {
+      naming: {
+        filename: item.name,
+        folder: item.folder,
+        columns: item.columns,
+        n: item.sequence,
+        index: item.batchIndex,
+        template: job.filenameTemplate,
+        date: job.namingDate || job.createdAt,
+      },
+      processing: job.processing,
+      filters: job.filters,
+      similarity: job.similarity,
+      maxFileSize,
+      budget,
+      onProgress: ({ loaded, total }) => {
+        const now = Date.now();
+        if (now - lastProgressAt < PROGRESS_EVENT_INTERVAL) {
+          return;
+        }
+        lastProgressAt = now;
+        batchEvents.publish(jobId, {
+          type: "progress",
+          index: item.index,
+          url: item.url,
+          loaded,
+          total,
+        });
+      },
+      onRetry: ({ attempt, code, delay }) => {
+        batchEvents.publish(jobId, {
+          type: "retrying",
+          index: item.index,
+          url: item.url,
+          attempt,
+          code,
+          delay,
+        });
+      },
+    });
+
+    if (download.success) {
+      await fs.writeFile(this.itemPath(jobId, item.index), download.data);
+      if (download.svgData) {
+        await fs.writeFile(this.svgPath(jobId, item.index), download.svgData);
+      }
+      if (download.thumbnailData) {
+        await fs.writeFile(
+          this.thumbnailPath(jobId, item.index),
+          download.thumbnailData
+        );
+      }
+      await this.updateItem(job, item, {
+        status: "done",
+        filename: download.filename,
+        size: download.size,
+        contentType: download.contentType,
+        originalType: download.originalType,
+        declaredType: download.declaredType,
+        animated: download.animated,
+        hash: download.hash,
+        perceptual: download.perceptual,
+        exif: download.exif,
+        // Final names are settled with the archive entries
+        svg: download.svgData
+          ? replaceExtension(download.filename, "image/svg+xml")
+          : null,
+        thumbnail: download.thumbnailData
+          ? `${THUMBNAIL_FOLDER}/${replaceExtension(
+              download.filename,
+              download.thumbnailType
+            )}`
+          : null,
+        thumbnailType: download.thumbnailType,
+        attempts: download.attempts,
+      });
+    } else {
+      await this.updateItem(job, item, {
+        status: download.skipped ? "skipped" : "failed",
+        code: download.code,
+        error: download.error,
+        attempts: download.attempts,
+      });
+    }
+
+    batchEvents.publish(jobId, {
+      type: item.status,
+      index: item.index,
+      url: item.url,
+      filename: item.filename,
+      size: item.size,
+      contentType: item.contentType,
+      code: item.code,
+      error: item.error,
+    });
+  }
+
+  // Mark an item failed after an unexpected error while fetching or storing
+  // it, e.g. a full disk or a lost database connection
+  async failItem(job, item, error) {
+    console.error(`Download job ${job._id} failed on ${item.url}:`, error);
+    try {
+      await this.removeFiles(job, item);
+      await this.updateItem(job, item, {
+        status: "failed",
+        code: DownloadErrorCodes.STORAGE_FAILED,
+        error: DownloadErrorMessages[DownloadErrorCodes.STORAGE_FAILED],
+      });
+    } catch (updateError) {
+      console.error(`Failed to mark ${item.url} as failed:`, updateError);
+    }
+
+    batchEvents.publish(job._id.toString(), {
+      type: "failed",
+      index: item.index,
+      url: item.url,
+      code: item.code,
+      error: item.error,
+    });
+  }
+
+  // Give back the daily downloads reserved for a job that failed before its
+  // downloads were counted
+  async releaseReservation(jobId) {
+    const job = await DownloadJob.findOneAndUpdate(
+      { _id: jobId, countedDownloads: false },
+      { countedDownloads: true }
+    );
+    if (job) {
+      await releaseDownloads(jobRequester(job), job.reservedDownloads);
+    }
+  }
+
+  // Update one item in memory and in MongoDB. Items are fetched concurrently,
+  // so each is written with a positional update rather than a document save.
+  async updateItem(job, item, fields) {
+    Object.assign(item, fields);
+
+    const update = {};
+    for (const [key, value] of Object.entries(fields)) {
+      update[`items.$.${key}`] = value;
+    }
+
+    await DownloadJob.updateOne(
+      { _id: job._id, "items.index": item.index },
+      { $set: update }
+    );
+  }
+
+  // Place images in the folders of the job's layout, make archive entry
+  // names unique and, if the job deduplicates, drop identical images and
+  // near-duplicates. Done in batch order once every item is fetched, so the
+  // outcome doesn't depend on which fetch finished first.
+  async settleEntries(job) {
+    const tracker = createEntryTracker({
+      dedupe: job.dedupe,
+      layout: job.layout,
+    });
+    const fetched = job.items
+      .filter((item) => item.status === "done")
+      .sort((a, b) => a.index - b.index);
+    // Mongoose leaves an empty object for jobs without near-duplicate
+    // detection
+    const similar = job.similarity?.algorithm
+      ? findSimilarImages(fetched, job.similarity)
+      : new Map();
+
+    for (const item of fetched) {
+      if (similar.has(item.index)) {
+        if (item.similarTo !== similar.get(item.index)) {
+          await this.updateItem(job, item, {
+            similarTo: similar.get(item.index),
+            svg: null,
+            thumbnail: null,
+          });
+          await this.removeFiles(job, item);
+        }
+        continue;
+      }
+
+      const entry = tracker.track(item);
+      const svg = entry.svg ?? null;
+      const thumbnail = entry.thumbnail ?? null;
+      if (
+        entry.filename === item.filename &&
+        entry.duplicateOf === item.duplicateOf &&
+        svg === (item.svg ?? null) &&
+        thumbnail === (item.thumbnail ?? null)
+      ) {
+        continue;
+      }
+
+      await this.updateItem(job, item, { ...entry, svg, thumbnail });
+      if (entry.duplicateOf) {
+        await this.removeFiles(job, item);
+      }
+    }
+  }
+
+  // Delete the image, SVG and thumbnail files of an item that isn't stored
+  async removeFiles(job, item) {
+    await fs.rm(this.itemPath(job._id, item.index), { force: true });
+    await fs.rm(this.svgPath(job._id, item.index), { force: true });
+    await fs.rm(this.thumbnailPath(job._id, item.index), { force: true });
+  }
+
+  // Add the fetched images of a completed job to an archive
+  addJobImages(job, archive) {
+    for (const item of job.items) {
+      if (item.status === "done" && !item.duplicateOf && !item.similarTo) {
+        archive.addImage(
+          item.filename,
+          createReadStream(this.itemPath(job._id, item.index))
+        );
+      }
+      if (item.status === "done" && item.svg) {
+        archive.addImage(
+          item.svg,
+          createReadStream(this.svgPath(job._id, item.index))
+        );
+      }
+      if (item.status === "done" && item.thumbnail) {
+        archive.addImage(
+          item.thumbnail,
+          createReadStream(this.thumbnailPath(job._id, item.index))
+        );
+      }
+    }
+  }
+
+  // Re-queue jobs that were queued or running when the server stopped
+  async resume() {
+    const jobs = await DownloadJob.findUnfinished();
+
+    for (const job of jobs) {
+      // Items caught mid-fetch are fetched again; items whose file was lost
+      // (e.g. a fresh disk after a redeploy) are too
+      for (const item of job.items) {
+        if (item.status === "fetching") {
+          item.status = "queued";
+        } else if (item.status === "done") {
+          try {
+            await fs.access(this.itemPath(job._id, item.index));
+          } catch {
+            item.status = "queued";
+          }
+        }
+      }
+      await job.save();
+      this.enqueue(job._id);
+    }
+
+    if (jobs.length > 0) {
+      console.log(`Resumed ${jobs.length} unfinished download jobs`);
+    }
+  }
+
+  // Remove stored images of jobs MongoDB has expired
+  async cleanupStorage() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.storageDir);
+    } catch {
+      return;
+    }
+
+    for (const entry of entries) {
+      // Keep the images when the lookup fails; the next run tries again
+      let exists;
+      try {
+        exists = await DownloadJob.exists({ _id: entry });
+      } catch (error) {
+        console.error(`Job storage lookup error for ${entry}:`, error);
+        continue;
+      }
+      if (!exists) {
+        await fs.rm(path.join(this.storageDir, entry), {
+          recursive: true,
+          force: true,
+        });
+      }
+    }
+  }
+
+  // Resume interrupted jobs and schedule storage cleanup
+  async start() {
+    await this.resume();
+    await this.cleanupStorage();
+
+    if (!this.cleanupTimer) {
+      this.cleanupTimer = setInterval(() => {
+        this.cleanupStorage().catch((error) => {
+          console.error("Job storage cleanup error:", error);
+        });
+      }, 60 * 60 * 1000); // Every hour
+      this.cleanupTimer.unref();
+    }
+  }
+}
+
+export default new JobQueue();
@@ -0,0 +1,454 @@
+import * as cheerio from "cheerio";
+import zlib from "zlib";
+import { guardedRequest } from "./guardedFetch.js";
+import { mapScheduled } from "./fetchScheduler.js";
+import { buildFilename, typeForUrl } from "../utils/filename.js";
+
+// Raised when a source URL was fetched but can't be used as a URL source
+export class ExtractionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "ExtractionError";
+    this.code = code;
+  }
+}
+
+// Largest page, sitemap or feed we are willing to parse
+const MAX_SOURCE_SIZE = 10 * 1024 * 1024; // 10MB
+
+// Time allowed to fetch a single page, sitemap or feed
+const SOURCE_TIMEOUT = 15000;
+
+// Child sitemaps of a sitemap index read per request; the rest are paged
+const SITEMAPS_PER_PAGE = 10;
+
+// Child sitemaps fetched at once, and the time all of a page's child
+// sitemaps get together
+const SITEMAP_FETCH_LIMITS = { concurrency: 4, perHost: 4 };
+const SITEMAP_PAGE_TIMEOUT = 30000;
+
+// Link targets that point straight at an image file
+const IMAGE_LINK_PATTERN =
+  /\.(jpe?g|png|gif|webp|bmp|svg|tiff?|avif|heic|ico)$/i;
+
+// url(...) references inside inline styles
+const CSS_URL_PATTERN = /url\(\s*(['"]?)(.*?)\1\s*\)/gi;
+
+// Resolve a possibly relative reference against the page URL. Returns null
+// for anything that isn't an http(s) URL (data:, javascript:, blank, ...).
+const resolveUrl = (value, baseUrl) => {
+  const trimmed = value?.trim();
+  if (!trimmed) {
+    return null;
+  }
+
+  try {
+    const url = new URL(trimmed, baseUrl || undefined);
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      return null;
+    }
+    url.hash = "";
+    return url.toString();
+  } catch {
+    return null;
+  }
+};
+
+// Deduplicated list of candidate image URLs, resolved against `baseUrl`
+const createCandidateList = (baseUrl, candidates = new Map()) => ({
+  add(value, source, { type, width } = {}) {
+    const url = resolveUrl(value, baseUrl);
+    if (!url || candidates.has(url)) {
+      return;
+    }
+
+    const contentType = type || typeForUrl(url);
+    candidates.set(url, {
+      url,
+      source,
+      // Named the same way the download itself will be
+      filename: buildFilename(url, contentType, candidates.size),
+      type: contentType,
+      width: width ?? null,
+    });
+  },
+  list() {
+    return [...candidates.values()];
+  },
+});
+
+// Split a srcset attribute into variants with their width ("800w") or
+// pixel density ("2x") descriptor. Candidates are split the way browsers do
+// (HTML "parse a srcset attribute"): a URL runs up to the next whitespace,
+// so it may contain commas, and a comma after the descriptor ends the
+// candidate, with or without whitespace after it ("a.jpg 1x,b.jpg 2x").
+const parseSrcset = (srcset) => {
+  const text = srcset || "";
+  const urlPattern = /[\s,]*(\S+)/y;
+  // Descriptors run up to a comma outside parentheses
+  const descriptorPattern = /((?:[^,(]|\([^)]*\)?)*),?/y;
+  const variants = [];
+
+  for (let match; (match = urlPattern.exec(text)); ) {
+    let url = match[1];
+    let descriptor = "";
+
+    // Trailing commas end a candidate that has no descriptor
+    if (url.endsWith(",")) {
+      url = url.replace(/,+$/, "");
+    } else {
+      descriptorPattern.lastIndex = urlPattern.lastIndex;
+      descriptor = descriptorPattern.exec(text)[1].trim().split(/\s+/)[0];
+      urlPattern.lastIndex = descriptorPattern.lastIndex;
+    }
+
+    const value = parseFloat(descriptor);
+    if (url) {
+      variants.push({
+        url,
+        width: descriptor.endsWith("w") ? value : null,
+        density: descriptor.endsWith("x") ? value : 1,
+      });
+    }
+  }
+
+  return variants;
+};
+
+// Compare two variants: widths win over densities, since a width descriptor
+// states the actual size of the image
+const compareVariants = (a, b) => {
+  if (a.width !== null || b.width !== null) {
+    return (a.width ?? 0) - (b.width ?? 0);
+  }
+  return a.density - b.density;
+};
+
+/**
+ * Choose the variant to download from an <img> or <picture>: the largest,
+ * limited to the preferred format when any variant has it
+ * @param {Array} variants - [{ url, width, density, type }]
+ * @param {string} preferredType - MIME type to prefer, e.g. "image/webp"
+ * @returns {Object|undefined} Chosen variant
+ */
+export const pickVariant = (variants, preferredType = null) => {
+  const preferred = preferredType
+    ? variants.filter((variant) => variant.type === preferredType)
+    : [];
+  const pool = preferred.length > 0 ? preferred : variants;
+
+  // Ties keep document order, which is the browser's order of preference
+  return pool.reduce(
+    (best, variant) =>
+      !best || compareVariants(variant, best) > 0 ? variant : best,
+    undefined
+  );
+};
+
+/**
+ * Find image URLs referenced by an HTML document: <img src>, srcset,
+ * <picture><source>, og:image, inline background images and links to
+ * image files. For each <img> and <picture> only the largest variant is
+ * kept, optionally in a preferred format.
+ * @param {string} html - HTML document or snippet
+ * @param {string} pageUrl - URL the HTML came from, for relative references.
+ *   Without it only absolute URLs in a snippet are found.
+ * @param {Object} options - Extraction options
+ * @param {string} options.preferredType - MIME type to prefer, e.g. "image/webp"
+ * @returns {Array} Deduplicated candidates: [{ url, source, filename, type, width }]
+ */
+export const extractImageUrls = (
+  html,
+  pageUrl = null,
+  { preferredType = null } = {}
+) => {
+  const $ = cheerio.load(html);
+  const pageBase = resolveUrl(pageUrl);
+  const baseUrl =
+    resolveUrl($("base[href]").attr("href"), pageBase) || pageBase;
+
+  const candidates = createCandidateList(baseUrl);
+  const { add } = candidates;
+
+  // Variants of an <img>: its src (as 1x) plus its srcset
+  const imgVariants = (img) => {
+    const src = img.attr("src") || img.attr("data-src");
+    return [
+      ...(src ? [{ url: src, width: null, density: 1, source: "img" }] : []),
+      ...parseSrcset(img.attr("srcset") || img.attr("data-srcset")).map(
+        (variant) => ({ ...variant, source: "srcset" })
+      ),
+    ].map((variant) => ({ ...variant, type: typeForUrl(variant.url) }));
+  };
+
+  const addVariant = (variant) => {
+    if (variant) {
+      add(variant.url, variant.source, variant);
+    }
+  };
+
+  $('meta[property="og:image"], meta[property="og:image:url"]').each(
+    (_, element) => add($(element).attr("content"), "og:image")
+  );
+
+  $("picture").each((_, element) => {
+    const picture = $(element);
+    const variants = [];
+
+    picture.find("source").each((_, source) => {
+      const type = $(source).attr("type") || null;
+      parseSrcset($(source).attr("srcset")).forEach((variant) =>
+        variants.push({
+          ...variant,
+          type: type || typeForUrl(variant.url),
+          source: "picture",
+        })
+      );
+    });
+    picture.find("img").each((_, img) => {
+      variants.push(...imgVariants($(img)));
+    });
+
+    addVariant(pickVariant(variants, preferredType));
+  });
+
+  $("img")
+    .filter((_, element) => $(element).closest("picture").length === 0)
+    .each((_, element) => {
+      addVariant(pickVariant(imgVariants($(element)), preferredType));
+    });
+
+  $("[style]").each((_, element) => {
+    const style = $(element).attr("style");
+    if (!style.includes("url(")) {
+      return;
+    }
+    for (const match of style.matchAll(CSS_URL_PATTERN)) {
+      add(match[2], "background");
+    }
+  });
+
+  $("a[href]").each((_, element) => {
+    const url = resolveUrl($(element).attr("href"), baseUrl);
+    if (url && IMAGE_LINK_PATTERN.test(new URL(url).pathname)) {
+      add(url, "link");
+    }
+  });
+
+  return candidates.list();
+};
+
+// Check whether a URL, optionally with a declared MIME type, is an image
+const isImageReference = (url, type) =>
+  type
+    ? type.toLowerCase().startsWith("image/")
+    : IMAGE_LINK_PATTERN.test(url.split("?")[0]);
+
+// Work out what kind of XML document this is from its root element
+const detectXmlType = ($) => {
+  const root = (
+    $.root().children().first().prop("tagName") || ""
+  ).toLowerCase();
+
+  if (root === "sitemapindex") return "sitemapindex";
+  if (root === "urlset") return "sitemap";
+  if (root === "rss" || root === "rdf:rdf") return "rss";
+  if (root === "feed") return "atom";
+
+  return null;
+};
+
+/**
+ * Find image URLs in an XML sitemap (<image:loc> and <loc> entries that are
+ * images) or an RSS/Atom feed (<enclosure>, enclosure links, media:content
+ * and media:thumbnail)
+ * @param {string} xml - Sitemap or feed document
+ * @param {string} sourceUrl - URL the document came from
+ * @returns {Object} { sourceType, candidates, sitemaps } where `sitemaps`
+ *   lists the child sitemaps of a sitemap index
+ */
+export const extractFromXml = (xml, sourceUrl = null) => {
+  const $ = cheerio.load(xml, { xml: true });
+  const sourceType = detectXmlType($);
+  const candidates = createCandidateList(resolveUrl(sourceUrl));
+  const { add } = candidates;
+
+  if (sourceType === "sitemapindex") {
+    const sitemaps = $("sitemap > loc")
+      .map((_, element) => resolveUrl($(element).text(), sourceUrl))
+      .get()
+      .filter(Boolean);
+    return { sourceType, candidates: [], sitemaps };
+  }
+
+  if (sourceType === "sitemap") {
+    $("url").each((_, element) => {
+      const entry = $(element);
+      entry.find("image\\:loc").each((_, loc) => add($(loc).text(), "sitemap"));
+
+      const loc = entry.children("loc").text().trim();
+      if (loc && isImageReference(loc)) {
+        add(loc, "sitemap");
+      }
+    });
+  }
+
+  if (sourceType === "rss" || sourceType === "atom") {
+    $("enclosure[url]").each((_, element) => {
+      const { url, type } = element.attribs;
+      if (isImageReference(url, type)) {
+        add(url, "enclosure", { type });
+      }
+    });
+
+    $('link[rel="enclosure"][href]').each((_, element) => {
+      const { href, type } = element.attribs;
+      if (isImageReference(href, type)) {
+        add(href, "enclosure", { type });
+      }
+    });
+
+    $("media\\:content[url]").each((_, element) => {
+      const { url, type, medium, width } = element.attribs;
+      if (medium === "image" || isImageReference(url, type)) {
+        add(url, "media:content", {
+          type,
+          width: width ? parseInt(width, 10) : null,
+        });
+      }
+    });
+
+    $("media\\:thumbnail[url]").each((_, element) =>
+      add(element.attribs.url, "media:thumbnail")
+    );
+  }
+
+  return { sourceType, candidates: candidates.list(), sitemaps: [] };
+};
+
+// Fetch a page, sitemap or feed as text. Gzipped sitemaps (.xml.gz) are
+// unpacked.
+const fetchSource = async (url, timeout = SOURCE_TIMEOUT) => {
+  const response = await guardedRequest({
+    method: "get",
+    url,
+    responseType: "arraybuffer",
+    timeout,
+    maxContentLength: MAX_SOURCE_SIZE,
+    headers: {
+      Accept:
+        "text/html,application/xhtml+xml,application/xml,text/xml,application/rss+xml,application/atom+xml",
+      "User-Agent":
+        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
+    },
+  });
+
+  let body = Buffer.from(response.data);
+  // Gzip magic bytes: 1F 8B
+  if (body[0] === 0x1f && body[1] === 0x8b) {
+    body = zlib.gunzipSync(body, { maxOutputLength: MAX_SOURCE_SIZE });
+  }
+
+  return {
+    url: response.finalUrl,
+    contentType: response.headers["content-type"] || "",
+    text: body.toString("utf8"),
+  };
+};
+
+/**
+ * Fetch a web page, XML sitemap or RSS/Atom feed and list the image URLs it
+ * references. Sitemap indexes are read SITEMAPS_PER_PAGE child sitemaps at a
+ * time; pass the returned `nextPage` to continue. Child sitemaps that fail,
+ * run out of time or are sitemap indexes themselves are listed in
+ * `skippedSitemaps` as { url, reason }.
+ * @param {string} sourceUrl - Page, sitemap or feed URL
+ * @param {Object} options - Extraction options
+ * @param {number} options.page - Page of a sitemap index to read
+ * @param {string} options.preferredType - Passed on to extractImageUrls
+ * @returns {Promise<Object>} { pageUrl, sourceType, candidates, nextPage, totalSitemaps, skippedSitemaps }
+ * @throws {BlockedUrlError} If the URL is not allowed
+ * @throws {ExtractionError} If the response is neither HTML nor a sitemap or feed
+ */
+export const extractFromUrl = async (
+  sourceUrl,
+  { page = 0, preferredType = null } = {}
+) => {
+  const source = await fetchSource(sourceUrl);
+
+  // Relative references resolve against the URL after redirects
+  if (source.contentType.includes("html")) {
+    return {
+      pageUrl: source.url,
+      sourceType: "page",
+      candidates: extractImageUrls(source.text, source.url, { preferredType }),
+      nextPage: null,
+    };
+  }
+
+  const { sourceType, candidates, sitemaps } = extractFromXml(
+    source.text,
+    source.url
+  );
+
+  if (!sourceType) {
+    throw new ExtractionError(
+      "URL is not an HTML page, XML sitemap or RSS/Atom feed",
+      "UNSUPPORTED_SOURCE"
+    );
+  }
+
+  if (sourceType !== "sitemapindex") {
+    return { pageUrl: source.url, sourceType, candidates, nextPage: null };
+  }
+
+  const start = page * SITEMAPS_PER_PAGE;
+  const pageSitemaps = sitemaps.slice(start, start + SITEMAPS_PER_PAGE);
+  const deadline = Date.now() + SITEMAP_PAGE_TIMEOUT;
+  const children = await mapScheduled(
+    pageSitemaps,
+    SITEMAP_FETCH_LIMITS,
+    async (sitemapUrl) => {
+      const timeout = Math.min(SOURCE_TIMEOUT, deadline - Date.now());
+      if (timeout <= 0) {
+        return { skipped: "Ran out of time" };
+      }
+      try {
+        const child = await fetchSource(sitemapUrl, timeout);
+        const result = extractFromXml(child.text, child.url);
+        // Only one level of sitemap indexes is read; a nested index can be
+        // extracted on its own
+        return result.sourceType === "sitemapindex"
+          ? { skipped: "Nested sitemap index" }
+          : result;
+      } catch (error) {
+        // One broken child sitemap shouldn't lose the rest of the page
+        console.warn(`Failed to read sitemap ${sitemapUrl}:`, error.message);
+        return { skipped: error.message };
+      }
+    }
+  );
+
+  const merged = new Map();
+  const skippedSitemaps = [];
+  children.forEach((child, i) => {
+    if (child.skipped) {
+      skippedSitemaps.push({ url: pageSitemaps[i], reason: child.skipped });
+      return;
+    }
+    for (const candidate of child.candidates) {
+      if (!merged.has(candidate.url)) {
+        merged.set(candidate.url, candidate);
+      }
+    }
+  });
+
+  return {
+    pageUrl: source.url,
+    sourceType,
+    candidates: [...merged.values()],
+    nextPage: start + SITEMAPS_PER_PAGE < sitemaps.length ? page + 1 : null,
+    totalSitemaps: sitemaps.length,
+    skippedSitemaps,
+  };
+};
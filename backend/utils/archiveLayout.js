@@ -0,0 +1,100 @@
+import { extensionForType, sanitizePathSegment } from "./filename.js";
+import { describeUrl } from "./filenameTemplate.js";
+
+// Raised when a requested archive layout can't be used
+export class LayoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "LayoutError";
+    this.code = "INVALID_LAYOUT";
+  }
+}
+
+// How images are arranged in folders inside the archive:
+// flat    - everything at the root (default)
+// mirror  - host/path/... of the source URL
+// type    - one folder per detected type (jpg/, png/, ...)
+// column  - one folder per value of an imported column
+// chunk   - folders of `size` images in batch order (part-001/, ...)
+export const ARCHIVE_LAYOUTS = ["flat", "mirror", "type", "column", "chunk"];
+
+const DEFAULT_CHUNK_SIZE = 100;
+const MAX_CHUNK_SIZE = 10000;
+
+/**
+ * Read the archive layout of a batch request.
+ * @param {string|Object} layout - Layout name, or { type, column, size }
+ * @returns {Object} { type, column, size }
+ * @throws {LayoutError} On unknown layouts or missing options
+ */
+export const parseLayout = (layout) => {
+  const {
+    type = "flat",
+    column,
+    size,
+  } = typeof layout === "string" ? { type: layout } : layout || {};
+
+  if (!ARCHIVE_LAYOUTS.includes(type)) {
+    throw new LayoutError(
+      `Unknown archive layout "${type}" (use ${ARCHIVE_LAYOUTS.join(", ")})`
+    );
+  }
+
+  if (type === "column") {
+    if (typeof column !== "string" || !column.trim()) {
+      throw new LayoutError("The column layout needs a column name");
+    }
+    return { type, column };
+  }
+
+  if (type === "chunk") {
+    const chunkSize = size === undefined ? DEFAULT_CHUNK_SIZE : Number(size);
+    if (
+      !Number.isInteger(chunkSize) ||
+      chunkSize < 1 ||
+      chunkSize > MAX_CHUNK_SIZE
+    ) {
+      throw new LayoutError(
+        `Chunk size must be a whole number from 1 to ${MAX_CHUNK_SIZE}`
+      );
+    }
+    return { type, size: chunkSize };
+  }
+
+  return { type };
+};
+
+/**
+ * Folder an image is placed in under a layout.
+ * @param {Object} layout - Layout from parseLayout
+ * @param {Object} image - { url, index, contentType, columns }
+ * @returns {string} Folder path ("" for the archive root)
+ */
+export const layoutFolder = (layout, { url, index, contentType, columns }) => {
+  switch (layout?.type) {
+    case "mirror": {
+      const { host, directories } = describeUrl(url);
+      return [host, ...directories]
+        .map(sanitizePathSegment)
+        .filter(Boolean)
+        .join("/");
+    }
+    case "type":
+      return extensionForType(contentType);
+    case "column":
+      return (
+        sanitizePathSegment(
+          columns && Object.hasOwn(columns, layout.column)
+            ? columns[layout.column]
+            : ""
+        ) || "ungrouped"
+      );
+    case "chunk":
+      return `part-${String(Math.floor(index / layout.size) + 1).padStart(
+        3,
+        "0"
+      )}`;
+    default:
+      return "";
+  }
+};
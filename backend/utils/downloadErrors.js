@@ -0,0 +1,125 @@
+// Error codes reported per URL in download results
+export const DownloadErrorCodes = {
+  BLOCKED: "BLOCKED",
+  DNS_FAILURE: "DNS_FAILURE",
+  TIMEOUT: "TIMEOUT",
+  CONNECTION_RESET: "CONNECTION_RESET",
+  NETWORK_ERROR: "NETWORK_ERROR",
+  TOO_MANY_REDIRECTS: "TOO_MANY_REDIRECTS",
+  TOO_LARGE: "TOO_LARGE",
+  BATCH_TOO_LARGE: "BATCH_TOO_LARGE",
+  NOT_AN_IMAGE: "NOT_AN_IMAGE",
+  INVALID_SVG: "INVALID_SVG",
+  EMPTY_RESPONSE: "EMPTY_RESPONSE",
+  PROCESSING_FAILED: "PROCESSING_FAILED",
+  STORAGE_FAILED: "STORAGE_FAILED",
+  // Not an error: the image didn't pass the batch's filters and is skipped
+  FILTERED: "FILTERED",
+};
+
+// Human-readable messages for codes that don't carry their own detail
+export const DownloadErrorMessages = {
+  [DownloadErrorCodes.DNS_FAILURE]: "Host name could not be resolved",
+  [DownloadErrorCodes.TIMEOUT]: "The server took too long to respond",
+  [DownloadErrorCodes.CONNECTION_RESET]: "The connection was reset",
+  [DownloadErrorCodes.NETWORK_ERROR]: "Failed to download image",
+  [DownloadErrorCodes.TOO_MANY_REDIRECTS]: "Too many redirects",
+  [DownloadErrorCodes.TOO_LARGE]: "Image exceeds the size limit",
+  [DownloadErrorCodes.BATCH_TOO_LARGE]: "Batch exceeds its size limit",
+  [DownloadErrorCodes.NOT_AN_IMAGE]: "Not an image file",
+  [DownloadErrorCodes.INVALID_SVG]: "Invalid SVG content",
+  [DownloadErrorCodes.EMPTY_RESPONSE]: "Empty image data",
+  [DownloadErrorCodes.PROCESSING_FAILED]: "Image could not be converted",
+  [DownloadErrorCodes.STORAGE_FAILED]: "Image could not be stored",
+};
+
+// Raised when a response body runs over the size limit of a single image
+// (TOO_LARGE) or over what is left of its batch's limit (BATCH_TOO_LARGE)
+export class SizeLimitError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "SizeLimitError";
+    this.code = code;
+  }
+}
+
+// Cap on how long we honour a Retry-After header
+const MAX_RETRY_AFTER = 30 * 1000;
+
+// Parse a Retry-After header (seconds or HTTP date) into milliseconds
+export const parseRetryAfter = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) {
+    return null;
+  }
+  return Math.max(0, date - Date.now());
+};
+
+/**
+ * Classify a failed request into an error code and whether retrying may help
+ * @param {Error} error - Error thrown by the request
+ * @returns {Object} { code, message, retryable, retryAfter }
+ */
+export const classifyRequestError = (error) => {
+  if (error.code === DownloadErrorCodes.BLOCKED) {
+    return {
+      code: DownloadErrorCodes.BLOCKED,
+      message: `Blocked: ${error.message}`,
+      retryable: false,
+    };
+  }
+
+  if (error instanceof SizeLimitError) {
+    return { code: error.code, message: error.message, retryable: false };
+  }
+
+  if (error.response) {
+    const { status, headers } = error.response;
+    const retryAfter = parseRetryAfter(headers?.["retry-after"]);
+
+    return {
+      code: `HTTP_${status}`,
+      message: `HTTP ${status}`,
+      retryable:
+        (status === 408 || status === 429 || status >= 500) &&
+        (retryAfter === null || retryAfter <= MAX_RETRY_AFTER),
+      retryAfter,
+    };
+  }
+
+  let code;
+  let retryable = false;
+
+  if (error.code === "ERR_FR_TOO_MANY_REDIRECTS") {
+    code = DownloadErrorCodes.TOO_MANY_REDIRECTS;
+  } else if (error.code === "ENOTFOUND") {
+    code = DownloadErrorCodes.DNS_FAILURE;
+  } else if (error.code === "EAI_AGAIN") {
+    // Temporary resolver failure
+    code = DownloadErrorCodes.DNS_FAILURE;
+    retryable = true;
+  } else if (
+    error.code === "ECONNABORTED" ||
+    error.code === "ETIMEDOUT" ||
+    error.code === "ESOCKETTIMEDOUT"
+  ) {
+    code = DownloadErrorCodes.TIMEOUT;
+    retryable = true;
+  } else if (error.code === "ECONNRESET" || error.code === "EPIPE") {
+    code = DownloadErrorCodes.CONNECTION_RESET;
+    retryable = true;
+  } else {
+    code = DownloadErrorCodes.NETWORK_ERROR;
+  }
+
+  return { code, message: DownloadErrorMessages[code], retryable };
+};
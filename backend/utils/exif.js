@@ -0,0 +1,88 @@
+import exifReader from "exif-reader";
+
+// EXIF fields kept when only location and personal data is stripped:
+// what took the photo and when, but not where or by whom
+const SAFE_FIELDS = {
+  IFD0: ["Make", "Model", "Software", "DateTime", "Copyright"],
+  IFD2: ["DateTimeOriginal", "LensMake", "LensModel"],
+};
+
+// Section of exif-reader's output holding each IFD
+const IFD_SECTIONS = { IFD0: "Image", IFD2: "Photo" };
+
+// Parse raw EXIF data, ignoring data we can't read
+const parseExif = (exif) => {
+  if (!exif) {
+    return null;
+  }
+  try {
+    return exifReader(exif);
+  } catch {
+    return null;
+  }
+};
+
+// EXIF dates have no time zone; exif-reader reads them as UTC
+const formatExifDate = (date) =>
+  date
+    .toISOString()
+    .slice(0, 19)
+    .replace(/^(\d+)-(\d+)-(\d+)T/, "$1:$2:$3 ");
+
+/**
+ * Describe an image for the manifest from its sharp metadata.
+ * @param {Object} metadata - Result of sharp's metadata()
+ * @returns {Object} { camera, width, height, orientation, capturedAt } with
+ *   the fields that are known; `capturedAt` is local time of the camera
+ */
+export const describeExif = ({ width, height, orientation, exif }) => {
+  const parsed = parseExif(exif);
+  const { Make, Model } = parsed?.Image || {};
+  const captured = parsed?.Photo?.DateTimeOriginal || parsed?.Image?.DateTime;
+
+  // Model names usually repeat the make, e.g. "Canon" + "Canon EOS 5D"
+  const camera =
+    Make && Model && !Model.startsWith(Make)
+      ? `${Make.trim()} ${Model.trim()}`
+      : (Model || Make || "").trim();
+
+  return {
+    camera: camera || undefined,
+    width,
+    height,
+    orientation,
+    capturedAt:
+      captured instanceof Date && !Number.isNaN(captured.getTime())
+        ? captured.toISOString().slice(0, 19)
+        : undefined,
+  };
+};
+
+/**
+ * EXIF to write back when location and personal data is stripped, in the
+ * form of sharp's withExif().
+ * @param {Buffer} exif - Raw EXIF data of the source image
+ * @returns {Object} { IFD0, IFD2 } with the safe string fields
+ */
+export const safeExif = (exif) => {
+  const parsed = parseExif(exif);
+  const result = {};
+
+  for (const [ifd, fields] of Object.entries(SAFE_FIELDS)) {
+    const section = parsed?.[IFD_SECTIONS[ifd]] || {};
+    const values = {};
+    for (const field of fields) {
+      const value = section[field];
+      if (value instanceof Date && !Number.isNaN(value.getTime())) {
+        values[field] = formatExifDate(value);
+      } else if (typeof value === "string" && value.trim()) {
+        values[field] = value.trim();
+      }
+    }
+    if (Object.keys(values).length > 0) {
+      result[ifd] = values;
+    }
+  }
+
+  return result;
+};
@@ -0,0 +1,133 @@
+// Map of MIME types to the file extension we save them with
+export const MIME_EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/jpg": "jpg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "image/bmp": "bmp",
+  "image/webp": "webp",
+  "image/avif": "avif",
+  "image/tiff": "tiff",
+  "image/heic": "heic",
+  "image/heif": "heif",
+  "image/x-icon": "ico",
+  "image/jxl": "jxl",
+  "image/svg+xml": "svg",
+};
+
+// Alternative extensions not listed in MIME_EXTENSIONS
+const EXTENSION_TYPES = {
+  jpeg: "image/jpeg",
+  tif: "image/tiff",
+};
+
+// Get the extension for a MIME type, falling back to the subtype
+export const extensionForType = (contentType) => {
+  const mimeType = (contentType || "").split(";")[0].trim().toLowerCase();
+  return MIME_EXTENSIONS[mimeType] || mimeType.split("/")[1] || "jpg";
+};
+
+// Get the MIME type for a file extension, e.g. "webp" -> "image/webp"
+export const typeForExtension = (extension) => {
+  const normalized = (extension || "").replace(/^\./, "").toLowerCase();
+  if (EXTENSION_TYPES[normalized]) {
+    return EXTENSION_TYPES[normalized];
+  }
+  return (
+    Object.keys(MIME_EXTENSIONS).find(
+      (type) => MIME_EXTENSIONS[type] === normalized
+    ) || null
+  );
+};
+
+// Guess the MIME type of an image URL from its file extension
+export const typeForUrl = (url) => {
+  const urlPath = url.split("?")[0].split("#")[0];
+  const match = urlPath.match(/\.([a-z0-9]+)$/i);
+  return match ? typeForExtension(match[1]) : null;
+};
+
+// Longest name taken from a URL, extension included
+const MAX_URL_NAME_LENGTH = 100;
+
+// Generate a filename for a downloaded image from its URL. The last path
+// segment is cleaned like any other entry name, so "..", "..\\evil.jpg" or
+// overlong segments never reach the archive as they are.
+export const buildFilename = (url, contentType, index) => {
+  const urlPath = url.split("?")[0].split("#")[0]; // Remove query and hash
+  const pathParts = urlPath.split("/");
+  const [, rawStem, ownExtension] = pathParts[pathParts.length - 1].match(
+    /^(.*?)((?:\.[a-z0-9]{1,10})?)$/i
+  );
+  const suffix = ownExtension || `.${extensionForType(contentType)}`;
+  const stem = sanitizePathSegment(rawStem).slice(
+    0,
+    MAX_URL_NAME_LENGTH - suffix.length
+  );
+
+  return stem ? `${stem}${suffix}` : `image-${index + 1}${suffix}`;
+};
+
+// Give a filename the extension of a new content type, e.g. after the image
+// was converted: "photos/cat.png" -> "photos/cat.webp"
+export const replaceExtension = (filename, contentType) =>
+  `${filename.replace(/\.[a-z0-9]+$/i, "")}.${extensionForType(contentType)}`;
+
+// Characters that are unsafe in archive entry names on common filesystems
+const UNSAFE_NAME_CHARS = /[<>:"/\\|?*\x00-\x1f]/g;
+
+// Clean a single user-supplied path segment (file or folder name)
+export const sanitizePathSegment = (name) =>
+  String(name ?? "")
+    .replace(UNSAFE_NAME_CHARS, "_")
+    .replace(/^[.\s]+|[.\s]+$/g, "") // No "..", hidden or padded names
+    .slice(0, 150);
+
+/**
+ * Name of an image inside the archive. A requested filename (e.g. from a CSV
+ * column) replaces the default name and gets the detected extension if it
+ * has none; a requested folder ("a/b" for nesting) is prepended.
+ * @param {string} defaultName - Name derived from the URL
+ * @param {string} contentType - Detected content type
+ * @param {Object} naming - { filename, folder } requested for this URL
+ * @returns {string} Relative path inside the archive
+ */
+export const archiveEntryName = (
+  defaultName,
+  contentType,
+  { filename, folder } = {}
+) => {
+  let name = sanitizePathSegment(filename) || defaultName;
+  if (filename && !/\.[a-z0-9]+$/i.test(name)) {
+    name = `${name}.${extensionForType(contentType)}`;
+  }
+
+  const folders = String(folder ?? "")
+    .split(/[/\\]+/)
+    .map(sanitizePathSegment)
+    .filter(Boolean);
+
+  return [...folders, name].join("/");
+};
+
+/**
+ * Keep the names used inside one archive unique. Names are compared
+ * case-insensitively, as on Windows and macOS; a name that is already taken
+ * gets a numbered suffix before its extension: "image.jpg", "image (2).jpg".
+ * @returns {Object} { claim(name) } returning the unique name to use
+ */
+export const createNameRegistry = () => {
+  const taken = new Set();
+
+  return {
+    claim(name) {
+      const [, stem, extension] = name.match(/^(.*?)((?:\.[a-z0-9]+)?)$/i);
+      let candidate = name;
+      for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+        candidate = `${stem} (${n})${extension}`;
+      }
+      taken.add(candidate.toLowerCase());
+      return candidate;
+    },
+  };
+};
@@ -0,0 +1,235 @@
+import crypto from "crypto";
+import { extensionForType, sanitizePathSegment } from "./filename.js";
+
+// Raised when a naming template can't be parsed
+export class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TemplateError";
+    this.code = "INVALID_TEMPLATE";
+  }
+}
+
+// Tokens a naming template may use, e.g. "{index:04}_{host}_{basename}.{ext}".
+// Keep in sync with frontend/src/utils/filenameTemplate.js.
+export const TEMPLATE_TOKENS = [
+  "index", // Position in the batch, from 1 ({index:04} pads to 4 digits)
+  "n", // Position among URLs whose name is otherwise the same ({n:02})
+  "basename", // Original file name without extension
+  "ext", // Extension of the detected type
+  "type", // Detected type, e.g. "jpeg" or "svg"
+  "host", // Host name of the URL
+  "path", // Directories of the URL path ({path.1} first, {path.-1} last)
+  "hash", // SHA-256 of the content ({hash:12} for 12 hex digits, default 8)
+  "date", // Download date in UTC ({date:YYYYMMDD-HHmmss}, default YYYY-MM-DD)
+  "csv", // Column of an imported CSV/spreadsheet row ({csv.sku})
+];
+
+const MAX_TEMPLATE_LENGTH = 200;
+
+// {name}, {name.key} or {name:arg}
+const TOKEN_PATTERN = /\{([A-Za-z_]+)(?:\.([^}:]+))?(?::([^}]*))?\}/g;
+
+/**
+ * Split a naming template into literal text and tokens.
+ * @param {string} template - Naming template
+ * @returns {Array} Parts: { text } or { token, key, arg }
+ * @throws {TemplateError} On unknown tokens or malformed arguments
+ */
+export const parseTemplate = (template) => {
+  if (typeof template !== "string" || template.length > MAX_TEMPLATE_LENGTH) {
+    throw new TemplateError(
+      `Naming template must be a string of at most ${MAX_TEMPLATE_LENGTH} characters`
+    );
+  }
+
+  const parts = [];
+  let lastIndex = 0;
+
+  for (const match of template.matchAll(TOKEN_PATTERN)) {
+    const [text, token, key, arg] = match;
+
+    if (!TEMPLATE_TOKENS.includes(token)) {
+      throw new TemplateError(`Unknown template token ${text}`);
+    }
+    if (token === "csv" && !key) {
+      throw new TemplateError("{csv} needs a column name, e.g. {csv.sku}");
+    }
+    if (key !== undefined && !["csv", "path"].includes(token)) {
+      throw new TemplateError(`Template token {${token}} takes no key`);
+    }
+    if (token === "path" && key !== undefined && !/^-?[1-9]\d*$/.test(key)) {
+      throw new TemplateError(`Invalid path segment in ${text}`);
+    }
+    if (
+      arg !== undefined &&
+      ["index", "n", "hash"].includes(token) &&
+      !/^\d{1,2}$/.test(arg)
+    ) {
+      throw new TemplateError(`Invalid width in ${text}`);
+    }
+
+    parts.push({ text: template.slice(lastIndex, match.index) });
+    parts.push({ token, key, arg });
+    lastIndex = match.index + text.length;
+  }
+  parts.push({ text: template.slice(lastIndex) });
+
+  if (parts.some((part) => part.text?.includes("{"))) {
+    throw new TemplateError("Naming template has an unclosed or empty token");
+  }
+
+  return parts.filter((part) => part.token || part.text);
+};
+
+// Tokens whose values are only known once the image has been downloaded
+const CONTENT_TOKENS = ["index", "n", "ext", "type", "hash", "date"];
+
+// Decode a URL path segment, keeping it as is if it isn't valid encoding
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+};
+
+// Split a URL into its host, directories and file name
+export const describeUrl = (url) => {
+  if (typeof url !== "string" || url.startsWith("data:")) {
+    return { host: url ? "data" : "", directories: [], file: "" };
+  }
+
+  try {
+    const { hostname, pathname } = new URL(url);
+    const segments = pathname.split("/").filter(Boolean).map(decodeSegment);
+    const file = pathname.endsWith("/") ? "" : segments.pop() || "";
+    return { host: hostname, directories: segments, file };
+  } catch {
+    return { host: "", directories: [], file: "" };
+  }
+};
+
+// Format a date as e.g. "YYYY-MM-DD" in UTC
+const formatDate = (date, format) =>
+  format.replace(/YYYY|MM|DD|HH|mm|ss/g, (part) => {
+    const value = {
+      YYYY: date.getUTCFullYear(),
+      MM: date.getUTCMonth() + 1,
+      DD: date.getUTCDate(),
+      HH: date.getUTCHours(),
+      mm: date.getUTCMinutes(),
+      ss: date.getUTCSeconds(),
+    }[part];
+    return String(value).padStart(part.length, "0");
+  });
+
+// Value of a single token
+const tokenValue = ({ token, key, arg }, context) => {
+  const { url, index, n, columns, data, contentType, date } = context;
+  const { host, directories, file } = describeUrl(url);
+
+  switch (token) {
+    case "index":
+      return String(index + 1).padStart(Number(arg) || 0, "0");
+    case "n":
+      return String(n || 1).padStart(Number(arg) || 0, "0");
+    case "basename":
+      return file.replace(/\.[a-z0-9]+$/i, "") || `image-${index + 1}`;
+    case "ext":
+      return extensionForType(contentType);
+    case "type":
+      return (contentType || "").split("/")[1]?.split(/[+;]/)[0] || "";
+    case "host":
+      return host;
+    case "path": {
+      if (key === undefined) {
+        return directories.join("/");
+      }
+      const position = Number(key);
+      return (
+        directories[
+          position > 0 ? position - 1 : directories.length + position
+        ] || ""
+      );
+    }
+    case "hash":
+      return data
+        ? crypto
+            .createHash("sha256")
+            .update(data)
+            .digest("hex")
+            .slice(0, Number(arg) || 8)
+        : "";
+    case "date":
+      return formatDate(date || new Date(), arg || "YYYY-MM-DD");
+    case "csv":
+      return columns && Object.hasOwn(columns, key) ? String(columns[key]) : "";
+    default:
+      return "";
+  }
+};
+
+/**
+ * Render a naming template for one image. Slashes in the template (or in
+ * {path}) create folders; every folder and the file name are sanitized.
+ * @param {string} template - Naming template
+ * @param {Object} context - { url, index, n, columns, data, contentType, date }
+ * @returns {Object|null} { folder, filename }, or null if the name is empty
+ */
+export const renderTemplate = (template, context) => {
+  const rendered = parseTemplate(template)
+    .map((part) =>
+      part.token
+        ? tokenValue(part, context).replace(
+            part.token === "path" ? /\\/g : /[/\\]/g,
+            "_"
+          )
+        : part.text
+    )
+    .join("");
+
+  // A name made of the extension alone means every token was empty
+  if (/(^|\/)\s*(\.[a-z0-9]+)?\s*$/i.test(rendered)) {
+    return null;
+  }
+
+  const segments = rendered.split("/").map(sanitizePathSegment).filter(Boolean);
+  const filename = segments.pop();
+
+  if (!filename) {
+    return null;
+  }
+
+  return { folder: segments.join("/"), filename };
+};
+
+/**
+ * Number the URLs of a batch for the {n} token: URLs whose names would
+ * otherwise be the same (e.g. "{csv.sku}-{n}.{ext}" for rows with the same
+ * SKU) are numbered 1, 2, 3... in batch order.
+ * @param {string} template - Naming template
+ * @param {Array} items - [{ url, columns }] in batch order
+ * @returns {Array<number>} {n} value of each item
+ */
+export const assignSequenceNumbers = (template, items) => {
+  const parts = parseTemplate(template);
+  const counts = new Map();
+
+  return items.map(({ url, columns }, index) => {
+    const key = parts
+      .map((part) => {
+        if (!part.token) {
+          return part.text;
+        }
+        return CONTENT_TOKENS.includes(part.token)
+          ? `{${part.token}}`
+          : tokenValue(part, { url, index, columns });
+      })
+      .join("");
+
+    const n = (counts.get(key) || 0) + 1;
+    counts.set(key, n);
+    return n;
+  });
+};
@@ -0,0 +1,176 @@
+import sharp from "sharp";
+import { extensionForType, typeForExtension } from "./filename.js";
+
+// Raised when the filters of a batch can't be used
+export class FilterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "FilterError";
+    this.code = "INVALID_FILTERS";
+  }
+}
+
+// Filters given as whole numbers: pixel dimensions and bytes
+const INTEGER_FILTERS = [
+  "minWidth",
+  "maxWidth",
+  "minHeight",
+  "maxHeight",
+  "minFileSize",
+];
+
+// Filters given as width / height ratios, e.g. 0.5 for portrait 1:2
+const RATIO_FILTERS = ["minAspectRatio", "maxAspectRatio"];
+
+// Pairs whose minimum can't be above the maximum
+const RANGES = [
+  ["minWidth", "maxWidth"],
+  ["minHeight", "maxHeight"],
+  ["minAspectRatio", "maxAspectRatio"],
+];
+
+/**
+ * Read the filters of a batch request. Images that don't pass are skipped.
+ * @param {Object} filters - { minWidth, maxWidth, minHeight, maxHeight,
+ *   minFileSize (bytes), minAspectRatio, maxAspectRatio (width / height),
+ *   formats (e.g. ["jpeg", "png"]) }, all optional
+ * @returns {Object|null} The filters that are set, with `formats` as MIME
+ *   types, or null without filters
+ * @throws {FilterError} On invalid values or unknown formats
+ */
+export const parseFilters = (filters) => {
+  if (!filters) {
+    return null;
+  }
+  if (typeof filters !== "object" || Array.isArray(filters)) {
+    throw new FilterError("Filters must be an object");
+  }
+
+  const parsed = {};
+  for (const name of INTEGER_FILTERS) {
+    const value = filters[name];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (!Number.isInteger(value) || value < 0) {
+      throw new FilterError(`${name} must be a whole number of at least 0`);
+    }
+    parsed[name] = value;
+  }
+  for (const name of RATIO_FILTERS) {
+    const value = filters[name];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (typeof value !== "number" || !(value > 0) || !Number.isFinite(value)) {
+      throw new FilterError(`${name} must be a number above 0`);
+    }
+    parsed[name] = value;
+  }
+  for (const [min, max] of RANGES) {
+    if (parsed[min] !== undefined && parsed[max] < parsed[min]) {
+      throw new FilterError(`${max} must not be below ${min}`);
+    }
+  }
+
+  if (filters.formats !== undefined && filters.formats !== null) {
+    if (!Array.isArray(filters.formats)) {
+      throw new FilterError('formats must be a list such as ["jpeg", "png"]');
+    }
+    const formats = filters.formats.map((format) => {
+      const type = typeForExtension(String(format));
+      if (!type) {
+        throw new FilterError(`Unknown image format "${format}"`);
+      }
+      return type;
+    });
+    if (formats.length > 0) {
+      parsed.formats = [...new Set(formats)];
+    }
+  }
+
+  return Object.keys(parsed).length > 0 ? parsed : null;
+};
+
+// Width and height of an image as displayed, read from its header. EXIF
+// orientations 5 to 8 turn the image on its side.
+const displaySize = async (data) => {
+  try {
+    const { width, height, orientation } = await sharp(data).metadata();
+    return orientation >= 5
+      ? { width: height, height: width }
+      : { width, height };
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Check a fetched image against the filters of its batch. Dimension and
+ * aspect ratio filters pass images whose size can't be read.
+ * @param {Object|null} filters - Filters from parseFilters
+ * @param {Buffer} data - Image bytes
+ * @param {string} contentType - Type detected from the bytes
+ * @returns {Promise<string|null>} Why the image is skipped, or null if it
+ *   passes
+ */
+export const checkFilters = async (filters, data, contentType) => {
+  if (!filters) {
+    return null;
+  }
+  const {
+    minWidth,
+    maxWidth,
+    minHeight,
+    maxHeight,
+    minFileSize,
+    minAspectRatio,
+    maxAspectRatio,
+    formats,
+  } = filters;
+
+  // Mongoose leaves an empty list for jobs without a format filter
+  if (formats?.length > 0 && !formats.includes(contentType)) {
+    return `Format ${extensionForType(contentType)} is not allowed`;
+  }
+  if (minFileSize !== undefined && data.length < minFileSize) {
+    return `File size of ${data.length} bytes is below the minimum of ${minFileSize} bytes`;
+  }
+
+  const measured = [minWidth, maxWidth, minHeight, maxHeight].some(
+    (value) => value !== undefined
+  );
+  if (
+    !measured &&
+    minAspectRatio === undefined &&
+    maxAspectRatio === undefined
+  ) {
+    return null;
+  }
+
+  const { width, height } = await displaySize(data);
+  if (!width || !height) {
+    return null;
+  }
+  const size = `${width}×${height}`;
+  if (minWidth !== undefined && width < minWidth) {
+    return `Width of ${size} is below the minimum of ${minWidth}px`;
+  }
+  if (maxWidth !== undefined && width > maxWidth) {
+    return `Width of ${size} is above the maximum of ${maxWidth}px`;
+  }
+  if (minHeight !== undefined && height < minHeight) {
+    return `Height of ${size} is below the minimum of ${minHeight}px`;
+  }
+  if (maxHeight !== undefined && height > maxHeight) {
+    return `Height of ${size} is above the maximum of ${maxHeight}px`;
+  }
+  const ratio = width / height;
+  if (minAspectRatio !== undefined && ratio < minAspectRatio) {
+    return `Aspect ratio of ${size} is below the minimum of ${minAspectRatio}`;
+  }
+  if (maxAspectRatio !== undefined && ratio > maxAspectRatio) {
+    return `Aspect ratio of ${size} is above the maximum of ${maxAspectRatio}`;
+  }
+  return null;
+};
@@ -0,0 +1,205 @@
+// Image formats recognized from the first bytes of a file, regardless of the
+// content-type the server sent
+
+// Other names servers send for the types we detect
+const TYPE_ALIASES = {
+  "image/jpg": "image/jpeg",
+  "image/pjpeg": "image/jpeg",
+  "image/x-png": "image/png",
+  "image/apng": "image/png",
+  "image/x-ms-bmp": "image/bmp",
+  "image/vnd.microsoft.icon": "image/x-icon",
+  "image/heic-sequence": "image/heic",
+  "image/heif-sequence": "image/heif",
+  "image/avif-sequence": "image/avif",
+};
+
+// Types whose files all start with a signature we check. A claimed type
+// outside this list is trusted when the bytes don't match anything.
+const DETECTABLE_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+  "image/bmp",
+  "image/tiff",
+  "image/avif",
+  "image/heic",
+  "image/heif",
+  "image/x-icon",
+  "image/jxl",
+  "image/svg+xml",
+];
+
+// Content-types that make no claim about the format
+const GENERIC_TYPES = ["", "application/octet-stream", "binary/octet-stream"];
+
+// Brands of the ISO media file ("ftyp") box, by the image type they mark
+const HEIF_BRANDS = {
+  "image/avif": ["avif", "avis"],
+  "image/heic": ["heic", "heix", "heim", "heis", "hevc", "hevx"],
+  "image/heif": ["mif1", "msf1"],
+};
+
+// Sizes of the BMP info headers in use (BITMAPCOREHEADER to BITMAPV5HEADER)
+const BMP_HEADER_SIZES = [12, 40, 52, 56, 64, 108, 124];
+
+// How much of a text file we search for the <svg> root element
+const SVG_SNIFF_LENGTH = 16 * 1024;
+
+const startsWith = (data, bytes, offset = 0) =>
+  data.length >= offset + bytes.length &&
+  bytes.every((byte, i) => data[offset + i] === byte);
+
+const ascii = (data, start, end) => data.toString("latin1", start, end);
+
+// Walk the chunks of a PNG: an acTL chunk before the image data makes it an
+// animated PNG (APNG)
+const isAnimatedPng = (data) => {
+  let offset = 8;
+  while (offset + 8 <= data.length) {
+    const type = ascii(data, offset + 4, offset + 8);
+    if (type === "acTL") {
+      return true;
+    }
+    if (type === "IDAT" || type === "IEND") {
+      return false;
+    }
+    offset += 12 + data.readUInt32BE(offset);
+  }
+  return false;
+};
+
+// Type marked by the brands of an ISO media file, e.g. AVIF or HEIC
+const heifType = (data) => {
+  if (data.length < 16 || ascii(data, 4, 8) !== "ftyp") {
+    return null;
+  }
+  const boxSize = Math.min(data.readUInt32BE(0), data.length);
+  const brands = [ascii(data, 8, 12)];
+  for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+    brands.push(ascii(data, offset, offset + 4));
+  }
+
+  return (
+    Object.keys(HEIF_BRANDS).find((type) =>
+      HEIF_BRANDS[type].some((brand) => brands.includes(brand))
+    ) || null
+  );
+};
+
+// Whether a text file is an SVG document: markup whose first element is
+// <svg>, after any XML declaration, comments and doctype
+const isSvg = (data) => {
+  const text = data
+    .toString("utf8", 0, SVG_SNIFF_LENGTH)
+    .replace(/^\uFEFF/, "")
+    .replace(/<\?xml[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>/gi, "")
+    .trimStart();
+  return /^<svg[\s>]/i.test(text);
+};
+
+/**
+ * Detect the format of an image from its bytes.
+ * @param {Buffer} data - Image bytes
+ * @returns {Object|null} { type, animated } where `animated` is set for APNG
+ *   and animated WebP, or null if the bytes aren't a known image format
+ */
+export const detectImageFormat = (data) => {
+  if (startsWith(data, [0xff, 0xd8, 0xff])) {
+    return { type: "image/jpeg" };
+  }
+  if (startsWith(data, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return isAnimatedPng(data)
+      ? { type: "image/png", animated: true }
+      : { type: "image/png" };
+  }
+  if (/^GIF8[79]a/.test(ascii(data, 0, 6))) {
+    return { type: "image/gif" };
+  }
+  // RIFF....WEBP, where a VP8X chunk flags animation in bit 1
+  if (ascii(data, 0, 4) === "RIFF" && ascii(data, 8, 12) === "WEBP") {
+    return ascii(data, 12, 16) === "VP8X" && data[20] & 0x02
+      ? { type: "image/webp", animated: true }
+      : { type: "image/webp" };
+  }
+  if (
+    ascii(data, 0, 2) === "BM" &&
+    data.length >= 18 &&
+    BMP_HEADER_SIZES.includes(data.readUInt32LE(14))
+  ) {
+    return { type: "image/bmp" };
+  }
+  // II*. (Intel) or MM.* (Motorola), with 43 instead of 42 for BigTIFF
+  if (
+    startsWith(data, [0x49, 0x49, 0x2a, 0x00]) ||
+    startsWith(data, [0x49, 0x49, 0x2b, 0x00]) ||
+    startsWith(data, [0x4d, 0x4d, 0x00, 0x2a]) ||
+    startsWith(data, [0x4d, 0x4d, 0x00, 0x2b])
+  ) {
+    return { type: "image/tiff" };
+  }
+  const heif = heifType(data);
+  if (heif) {
+    return { type: heif };
+  }
+  // Icon directory with at least one image, whose reserved byte is zero
+  if (
+    startsWith(data, [0x00, 0x00, 0x01, 0x00]) &&
+    data.length >= 22 &&
+    data.readUInt16LE(4) > 0 &&
+    data[9] === 0
+  ) {
+    return { type: "image/x-icon" };
+  }
+  // JPEG XL codestream, or the ISO media container around one
+  if (
+    startsWith(data, [0xff, 0x0a]) ||
+    startsWith(
+      data,
+      [0x00, 0x00, 0x00, 0x0c, 0x4a, 0x58, 0x4c, 0x20, 0x0d, 0x0a, 0x87, 0x0a]
+    )
+  ) {
+    return { type: "image/jxl" };
+  }
+  if (isSvg(data)) {
+    return { type: "image/svg+xml" };
+  }
+  return null;
+};
+
+// MIME type of a content-type header, under the name we detect it as
+const normalizeType = (contentType) => {
+  const type = (contentType || "").split(";")[0].trim().toLowerCase();
+  return TYPE_ALIASES[type] || type;
+};
+
+// HEIC is a kind of HEIF, so servers may send either name for it
+const sameType = (a, b) =>
+  a === b ||
+  [a, b].every((type) => type === "image/heic" || type === "image/heif");
+
+/**
+ * Check downloaded bytes against the content-type the server sent. The
+ * bytes win: a PNG served as image/jpeg is a PNG. Bytes that match no known
+ * format are only accepted for image types we have no signature for.
+ * @param {Buffer} data - Image bytes
+ * @param {string} contentType - Content-type header of the response
+ * @returns {Object|null} { type, animated, declaredType } where
+ *   `declaredType` is the claimed type when it doesn't match the bytes, or
+ *   null if the bytes aren't an image
+ */
+export const checkImageType = (data, contentType) => {
+  const declared = normalizeType(contentType);
+  const detected = detectImageFormat(data);
+
+  if (!detected) {
+    return declared.startsWith("image/") && !DETECTABLE_TYPES.includes(declared)
+      ? { type: declared }
+      : null;
+  }
+
+  const mismatch =
+    !GENERIC_TYPES.includes(declared) && !sameType(declared, detected.type);
+  return mismatch ? { ...detected, declaredType: declared } : detected;
+};
@@ -0,0 +1,99 @@
+// Manifest files written into every archive, so the mapping from source URL
+// to archive entry (or failure) survives after the download.
+
+// Names of the manifest entries at the archive root
+export const MANIFEST_FILES = ["manifest.json", "manifest.csv"];
+
+// Columns filled from the EXIF extracted from an image
+const EXIF_COLUMNS = ["camera", "width", "height", "orientation", "capturedAt"];
+
+// Columns of manifest.csv, in order
+export const MANIFEST_COLUMNS = [
+  "url",
+  "status",
+  "filename",
+  "svg",
+  "thumbnail",
+  "size",
+  "contentType",
+  "originalType",
+  "declaredType",
+  "hash",
+  "duplicateOf",
+  "similarTo",
+  "code",
+  "error",
+  "attempts",
+  ...EXIF_COLUMNS,
+];
+
+// Outcome of a single URL as shown in the manifest
+const statusOf = (result) => {
+  if (!result.success) {
+    return result.skipped ? "skipped" : "failed";
+  }
+  if (result.duplicateOf) {
+    return "duplicate";
+  }
+  return result.similarTo ? "similar" : "downloaded";
+};
+
+// Quote a CSV cell when needed. Cells that a spreadsheet would run as a
+// formula get a leading apostrophe.
+const csvCell = (value) => {
+  if (value === undefined || value === null) {
+    return "";
+  }
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build manifest.json from the `results` of a batch.
+ * @param {Array} results - Per-URL results in batch order
+ * @param {Date} date - When the archive was created
+ * @returns {string} JSON document
+ */
+export const manifestJson = (results, date = new Date()) =>
+  JSON.stringify(
+    {
+      createdAt: date.toISOString(),
+      summary: {
+        total: results.length,
+        successful: results.filter((r) => r.success).length,
+        failed: results.filter((r) => !r.success && !r.skipped).length,
+        skipped: results.filter((r) => r.skipped).length,
+        duplicates: results.filter((r) => r.duplicateOf).length,
+        similar: results.filter((r) => r.similarTo).length,
+      },
+      results,
+    },
+    null,
+    2
+  );
+
+/**
+ * Build manifest.csv from the `results` of a batch: one row per URL,
+ * including failed URLs and their error reasons.
+ * @param {Array} results - Per-URL results in batch order
+ * @returns {string} CSV document with a header row
+ */
+export const manifestCsv = (results) =>
+  [
+    MANIFEST_COLUMNS,
+    ...results.map((result) =>
+      MANIFEST_COLUMNS.map((column) => {
+        if (column === "status") {
+          return statusOf(result);
+        }
+        return EXIF_COLUMNS.includes(column)
+          ? result.exif?.[column]
+          : result[column];
+      })
+    ),
+  ]
+    .map((row) => row.map(csvCell).join(","))
+    .join("\r\n") + "\r\n";
@@ -0,0 +1,231 @@
+import sharp from "sharp";
+
+// Raised when the similarity options of a batch can't be used
+export class SimilarityError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SimilarityError";
+    this.code = "INVALID_SIMILARITY";
+  }
+}
+
+// Perceptual hashes of 64 bits that stay close when an image is resized or
+// recompressed:
+// ahash - each pixel of an 8x8 greyscale copy against their mean
+// dhash - each pixel of a 9x8 copy against its right-hand neighbour
+// phash - the low frequencies of a 32x32 copy against their median
+export const HASH_ALGORITHMS = ["ahash", "dhash", "phash"];
+
+// Which image of a group of near-duplicates is stored:
+// first   - the one that comes first in the batch
+// largest - the one with the most pixels (then the most bytes)
+export const KEEP_MODES = ["first", "largest"];
+
+const HASH_BITS = 64;
+
+// Hamming distance up to which images count as near-duplicates
+const DEFAULT_THRESHOLD = 10;
+
+/**
+ * Read the near-duplicate detection of a batch request.
+ * @param {boolean|Object} similarity - true for the defaults, or
+ *   { algorithm, threshold, keep } where `threshold` is the largest number
+ *   of differing hash bits (0 to 64)
+ * @returns {Object|null} { algorithm, threshold, keep }, or null to skip
+ *   near-duplicate detection
+ * @throws {SimilarityError} On unknown algorithms or keep modes, or invalid
+ *   thresholds
+ */
+export const parseSimilarity = (similarity) => {
+  if (!similarity) {
+    return null;
+  }
+
+  const {
+    algorithm = "dhash",
+    threshold = DEFAULT_THRESHOLD,
+    keep = "first",
+  } = similarity === true ? {} : similarity;
+
+  if (!HASH_ALGORITHMS.includes(algorithm)) {
+    throw new SimilarityError(
+      `Unknown hash algorithm "${algorithm}" (use ${HASH_ALGORITHMS.join(
+        ", "
+      )})`
+    );
+  }
+  if (!Number.isInteger(threshold) || threshold < 0 || threshold > HASH_BITS) {
+    throw new SimilarityError(
+      `Threshold must be a whole number from 0 to ${HASH_BITS}`
+    );
+  }
+  if (!KEEP_MODES.includes(keep)) {
+    throw new SimilarityError(
+      `Unknown keep mode "${keep}" (use ${KEEP_MODES.join(", ")})`
+    );
+  }
+
+  return { algorithm, threshold, keep };
+};
+
+// Greyscale pixels of an image scaled to width x height, ignoring its
+// aspect ratio. Transparent areas count as white.
+const greyscalePixels = (data, width, height) =>
+  sharp(data)
+    .rotate()
+    .flatten({ background: "#ffffff" })
+    .greyscale()
+    .resize(width, height, { fit: "fill" })
+    .raw()
+    .toBuffer();
+
+// Pack booleans into a hex string, first bit first
+const toHex = (bits) =>
+  bits
+    .reduce((hash, bit) => (hash << 1n) | (bit ? 1n : 0n), 0n)
+    .toString(16)
+    .padStart(HASH_BITS / 4, "0");
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = sorted.length / 2;
+  return Number.isInteger(middle)
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[Math.floor(middle)];
+};
+
+// Cosines of the DCT for the 8 lowest frequencies of 32 samples
+const DCT_SIZE = 32;
+const DCT_COSINES = Array.from({ length: 8 }, (_, u) =>
+  Array.from({ length: DCT_SIZE }, (_, x) =>
+    Math.cos(((2 * x + 1) * u * Math.PI) / (2 * DCT_SIZE))
+  )
+);
+
+const HASHES = {
+  async ahash(data) {
+    const pixels = [...(await greyscalePixels(data, 8, 8))];
+    const mean = pixels.reduce((sum, value) => sum + value, 0) / pixels.length;
+    return toHex(pixels.map((value) => value > mean));
+  },
+
+  async dhash(data) {
+    const pixels = await greyscalePixels(data, 9, 8);
+    const bits = [];
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) {
+        bits.push(pixels[y * 9 + x] > pixels[y * 9 + x + 1]);
+      }
+    }
+    return toHex(bits);
+  },
+
+  async phash(data) {
+    const pixels = await greyscalePixels(data, DCT_SIZE, DCT_SIZE);
+    const coefficients = [];
+    for (let v = 0; v < 8; v++) {
+      for (let u = 0; u < 8; u++) {
+        let sum = 0;
+        for (let y = 0; y < DCT_SIZE; y++) {
+          for (let x = 0; x < DCT_SIZE; x++) {
+            sum +=
+              pixels[y * DCT_SIZE + x] * DCT_COSINES[u][x] * DCT_COSINES[v][y];
+          }
+        }
+        coefficients.push(sum);
+      }
+    }
+    // The first coefficient is the average brightness, which would skew the
+    // median
+    const middle = median(coefficients.slice(1));
+    return toHex(coefficients.map((value) => value > middle));
+  },
+};
+
+/**
+ * Compute the perceptual hash of an image.
+ * @param {Buffer} data - Image bytes
+ * @param {string} algorithm - One of HASH_ALGORITHMS
+ * @returns {Promise<Object|null>} { algorithm, hash, width, height } where
+ *   `hash` is 16 hex digits and the size is that of the image, or null if
+ *   the image can't be decoded
+ */
+export const perceptualHash = async (data, algorithm) => {
+  try {
+    const { width, height, orientation } = await sharp(data).metadata();
+    const hash = await HASHES[algorithm](data);
+    return orientation >= 5
+      ? { algorithm, hash, width: height, height: width }
+      : { algorithm, hash, width, height };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Count the bits in which two hashes differ
+ * @param {string} a - Hash in hex
+ * @param {string} b - Hash in hex
+ * @returns {number} Hamming distance
+ */
+export const hammingDistance = (a, b) => {
+  let difference = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  while (difference > 0n) {
+    distance += Number(difference & 1n);
+    difference >>= 1n;
+  }
+  return distance;
+};
+
+// Pixels of an image, for keeping the largest near-duplicate
+const area = (image) => image.perceptual.width * image.perceptual.height;
+
+/**
+ * Group the images of a batch into near-duplicates and pick the one of each
+ * group to store. An image joins the first group whose first image is
+ * within the threshold, so groups don't drift apart through chains of
+ * small differences.
+ * @param {Array} images - { index, url, size, perceptual } of the fetched
+ *   images in batch order, where `perceptual` is from perceptualHash
+ * @param {Object} similarity - Options from parseSimilarity
+ * @returns {Map} Index of each image not to store -> URL of the image
+ *   stored in its place
+ */
+export const findSimilarImages = (images, { threshold, keep }) => {
+  const groups = [];
+  for (const image of images) {
+    if (!image.perceptual?.hash) {
+      continue;
+    }
+    const group = groups.find(
+      (members) =>
+        hammingDistance(members[0].perceptual.hash, image.perceptual.hash) <=
+        threshold
+    );
+    if (group) {
+      group.push(image);
+    } else {
+      groups.push([image]);
+    }
+  }
+
+  const similar = new Map();
+  for (const members of groups) {
+    const stored =
+      keep === "largest"
+        ? members.reduce((best, image) =>
+            area(image) > area(best) ||
+            (area(image) === area(best) && image.size > best.size)
+              ? image
+              : best
+          )
+        : members[0];
+    for (const image of members) {
+      if (image !== stored) {
+        similar.set(image.index, stored.url);
+      }
+    }
+  }
+  return similar;
+};
@@ -1,5 +1,6 @@
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
+import { PlansProvider } from './contexts/PlansContext';
 import { Toaster } from 'react-hot-toast';
 import BulkImageDownloader from './components/BulkImageDownloader';
 import HomePage from './components/HomePage/HomePage';
@@ -318,7 +319,9 @@ const AppContent = () => {
 const App = () => {
   return (
     <AuthProvider>
-      <AppContent />
+      <PlansProvider>
+        <AppContent />
+      </PlansProvider>
       <Toaster 
         position="top-right"
         toastOptions={{
@@ -14,19 +14,67 @@ export const useDownloadHistory = () => {
    * @param {number} downloadData.successCount - Successfully downloaded images
    * @param {number} downloadData.failedCount - Failed downloads
    * @param {Array} downloadData.results - Detailed results for each URL
+   * @param {Array} downloadData.urls - URLs submitted in the batch
+   * @param {string} downloadData.serverHistoryId - Matching server history entry
+   * @param {number} downloadData.retryOf - ID of the entry this batch retried
+   * @param {Object} downloadData.options - Options the batch was sent with
+   *   (template, dedupe, similarity, layout, processing, filters)
+   * @param {Array} downloadData.items - Items the batch was sent as, if any
+   * @param {string} downloadData.namingDate - Date of the batch's {date} token
    */
   const addDownloadEntry = useCallback((downloadData) => {
+    const results = downloadData.results || [];
+    // Skipped images would be skipped again, so they aren't retried
+    const failedResults = results.filter((r) => !r.success && !r.skipped);
+    const failedUrls = failedResults.map((r) => r.url);
+
+    // A retry sends the failed URLs with the batch's options and names, so
+    // they come out as they would have the first time
+    const requested = new Map(
+      (downloadData.items || []).map((item) => [item.url, item])
+    );
+    const retryBatch = {
+      options: {
+        ...downloadData.options,
+        namingDate: downloadData.namingDate,
+      },
+      items: failedResults.map((r) => ({
+        ...requested.get(r.url),
+        url: r.url,
+        index: r.batchIndex,
+        n: r.n,
+      })),
+    };
+
     const newEntry = {
       id: Date.now(),
       timestamp: new Date().toLocaleString(),
       totalCount: downloadData.totalCount || 0,
       successCount: downloadData.successCount || 0,
       failedCount: downloadData.failedCount || 0,
-      results: downloadData.results || [],
+      results,
+      urls: downloadData.urls || [],
+      failedUrls,
+      retryBatch,
+      serverHistoryId: downloadData.serverHistoryId || null,
+      retryOf: downloadData.retryOf || null,
       date: new Date(),
     };
 
-    setDownloadHistory((prev) => [newEntry, ...prev.slice(0, 49)]); // Keep last 50 entries
+    setDownloadHistory((prev) => {
+      // URLs recovered by a retry no longer count as failed in the original
+      const history = prev.map((entry) =>
+        entry.id === newEntry.retryOf
+          ? {
+              ...entry,
+              failedUrls: entry.failedUrls.filter((url) =>
+                failedUrls.includes(url)
+              ),
+            }
+          : entry
+      );
+      return [newEntry, ...history.slice(0, 49)]; // Keep last 50 entries
+    });
   }, []);
 
   /**
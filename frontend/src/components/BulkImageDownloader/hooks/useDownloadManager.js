@@ -1,12 +1,109 @@
 import { useState, useCallback } from "react";
 import { useAuth } from "../../../contexts/AuthContext";
-import api, { endpoints } from "../../../utils/api";
+import api, { endpoints, getApiUrl } from "../../../utils/api";
 import {
   handleError,
   showSuccess,
   showError,
 } from "../../../utils/errorHandler";
-import { processImageDownloads } from "../../../utils/imageDownloader";
+import { followDownloadLink } from "../../../utils/imageDownloader";
+
+// How often to poll a running download job when events are unavailable
+const JOB_POLL_INTERVAL = 1000;
+
+// Progress shown for each job item status
+const ITEM_PROGRESS = {
+  queued: 0,
+  fetching: 5,
+  done: 100,
+  failed: 100,
+  skipped: 100,
+};
+
+// Per-URL events streamed by the backend while a job runs
+const ITEM_EVENTS = [
+  "queued",
+  "fetching",
+  "progress",
+  "retrying",
+  "done",
+  "failed",
+  "skipped",
+];
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Follow a job over Server-Sent Events until it finishes
+ * @param {Object} job - Job as returned by the backend
+ * @param {Function} onSnapshot - Called with the full job state
+ * @param {Function} onItemEvent - Called with each per-URL event
+ * @returns {Promise<Object>} Final job state
+ */
+const watchJobEvents = (job, onSnapshot, onItemEvent) =>
+  new Promise((resolve, reject) => {
+    const source = new EventSource(getApiUrl(job.eventsUrl));
+
+    source.addEventListener("snapshot", (event) => {
+      onSnapshot(JSON.parse(event.data));
+    });
+
+    ITEM_EVENTS.forEach((type) => {
+      source.addEventListener(type, (event) => {
+        onItemEvent(JSON.parse(event.data));
+      });
+    });
+
+    source.addEventListener("complete", (event) => {
+      source.close();
+      resolve(JSON.parse(event.data));
+    });
+
+    // EventSource reconnects on its own; fall back to polling instead
+    source.onerror = () => {
+      source.close();
+      reject(new Error("Lost connection to job events"));
+    };
+  });
+
+/**
+ * Poll a job's status until it finishes
+ * @param {Object} job - Job as returned by the backend
+ * @param {Object} params - Query params identifying anonymous owners
+ * @param {Function} onSnapshot - Called with the full job state
+ * @returns {Promise<Object>} Final job state
+ */
+const pollJob = async (job, params, onSnapshot) => {
+  while (job.status === "queued" || job.status === "running") {
+    await wait(JOB_POLL_INTERVAL);
+    const response = await api.get(`${endpoints.download.jobs}/${job.jobId}`, {
+      params,
+    });
+    job = response.data;
+    onSnapshot(job);
+  }
+  return job;
+};
+
+/**
+ * Work out the progress percentage of a URL from a job event
+ * @param {Object} event - Per-URL event from the backend
+ * @param {number} previous - Previous progress of the URL
+ * @returns {number} Progress percentage (0-100)
+ */
+const getEventProgress = (event, previous = 0) => {
+  if (event.type !== "progress") {
+    return ITEM_PROGRESS[event.type] ?? previous;
+  }
+
+  // Without a Content-Length we only know bytes are arriving
+  if (!event.total) {
+    return Math.max(previous, 50);
+  }
+
+  const fraction = Math.min(1, event.loaded / event.total);
+  return Math.max(previous, Math.round(5 + fraction * 90));
+};
 
 /**
  * Custom hook for managing download operations
@@ -16,17 +113,83 @@ export const useDownloadManager = () => {
   const { isAuthenticated } = useAuth();
   const [isDownloading, setIsDownloading] = useState(false);
   const [downloadProgress, setDownloadProgress] = useState({});
+  const [downloadStatus, setDownloadStatus] = useState({});
+  const [activeUrls, setActiveUrls] = useState([]);
   const [error, setError] = useState("");
 
   /**
-   * Download images via backend API
+   * Replace per-URL progress with the full state of a job
+   * @param {Object} job - Job as returned by the backend
+   */
+  const applyJobSnapshot = useCallback((job) => {
+    const progress = {};
+    const status = {};
+    (job.items || []).forEach((item) => {
+      progress[item.index] = ITEM_PROGRESS[item.status] ?? 0;
+      status[item.index] = item.status;
+    });
+    setDownloadProgress(progress);
+    setDownloadStatus(status);
+  }, []);
+
+  /**
+   * Update the progress of a single URL from a job event
+   * @param {Object} event - Per-URL event from the backend
+   */
+  const applyItemEvent = useCallback((event) => {
+    setDownloadProgress((prev) => ({
+      ...prev,
+      [event.index]: getEventProgress(event, prev[event.index]),
+    }));
+    // Bytes arriving mean the URL is fetching again, also after a retry
+    const status = event.type === "progress" ? "fetching" : event.type;
+    setDownloadStatus((prev) => ({ ...prev, [event.index]: status }));
+  }, []);
+
+  /**
+   * Download images via a backend download job and save the resulting ZIP
    * @param {Array} urls - Array of image URLs to download
    * @param {Function} onSuccess - Callback function called on successful download
    * @param {Function} onError - Callback function called on error
    * @param {string} anonymousSessionId - Session ID for anonymous users
+   * @param {Object} options - Download options
+   * @param {string} options.retryEntryId - Server history entry whose failed
+   *   URLs should be retried instead of submitting `urls` as a new batch
+   * @param {Array} options.items - `urls` as { url, filename, folder, columns }
+   *   items, naming the archive entries. Retried items also carry the
+   *   `index` and `n` they had in their first batch.
+   * @param {string} options.template - Naming template for the archive
+   *   entries, e.g. "{index:04}_{basename}.{ext}"
+   * @param {boolean} options.dedupe - Store byte-identical images once
+   * @param {Object} options.similarity - Store near-duplicates once:
+   *   { algorithm, threshold, keep } (see utils/similarity.js)
+   * @param {Object} options.layout - Folder layout of the archive, e.g.
+   *   { type: "chunk", size: 100 } (see utils/archiveLayout.js)
+   * @param {Object} options.processing - Server-side processing of every
+   *   image: { convert, resize, thumbnails } (see utils/imageProcessing.js)
+   * @param {Object} options.filters - Bounds that skip images, e.g.
+   *   { minWidth: 50, formats: ["jpeg"] } (see utils/imageFilters.js)
+   * @param {string} options.namingDate - Date of the {date} token, kept from
+   *   the first attempt when retrying
    */
   const downloadViaBackend = useCallback(
-    async (urls, onSuccess, onError, anonymousSessionId = null) => {
+    async (
+      urls,
+      onSuccess,
+      onError,
+      anonymousSessionId = null,
+      {
+        retryEntryId = null,
+        items = null,
+        template = "",
+        dedupe = false,
+        similarity = null,
+        layout = null,
+        processing = null,
+        filters = null,
+        namingDate = null,
+      } = {}
+    ) => {
       if (!urls || urls.length === 0) {
         const errorMsg = "Please enter at least one URL";
         setError(errorMsg);
@@ -37,6 +200,8 @@ export const useDownloadManager = () => {
 
       setIsDownloading(true);
       setDownloadProgress({});
+      setDownloadStatus({});
+      setActiveUrls(urls);
       setError("");
 
       try {
@@ -46,157 +211,132 @@ export const useDownloadManager = () => {
         console.log("🆔 Anonymous Session ID:", anonymousSessionId);
 
         // Prepare request payload
-        const payload = { urls };
+        const payload = items ? { items } : { urls };
+        if (template) {
+          payload.template = template;
+        }
+        if (dedupe) {
+          payload.dedupe = true;
+        }
+        if (similarity) {
+          payload.similarity = similarity;
+        }
+        if (layout) {
+          payload.layout = layout;
+        }
+        if (filters) {
+          payload.filters = filters;
+        }
+        if (namingDate) {
+          payload.namingDate = namingDate;
+        }
+        for (const [option, value] of Object.entries(processing || {})) {
+          if (value) {
+            payload[option] = value;
+          }
+        }
         
         // Include session ID for anonymous users
         if (!isAuthenticated && anonymousSessionId) {
           payload.sessionId = anonymousSessionId;
         }
 
-        // Include auth token if user is authenticated
-        const config = {};
-        if (isAuthenticated) {
-          const token = localStorage.getItem("token");
-          if (token) {
-            config.headers = {
-              Authorization: `Bearer ${token}`,
-            };
-          }
-        }
-
-        console.log("📤 Sending request to backend:", {
-          endpoint: endpoints.download.images,
+        console.log("📤 Creating download job:", {
+          endpoint: endpoints.download.jobs,
           payload,
-          config
         });
 
-        const response = await api.post(
-          endpoints.download.images,
-          payload,
-          config
-        );
-
-        console.log("📥 Backend response received:", {
-          status: response.status,
-          data: response.data,
-          results: response.data?.results?.length || 0,
-          downloads: response.data?.downloads?.length || 0,
-          summary: response.data?.summary
-        });
-
-        const { results, summary, downloads } = response.data;
-
-        // Validate response structure
-        if (!results || !Array.isArray(results)) {
-          throw new Error("Invalid response structure: missing or invalid results array");
+        // The server fetches the images in the background and streams
+        // per-URL progress until the job finishes. Retries of a server
+        // history entry re-queue its failed URLs on the server side.
+        const response = retryEntryId
+          ? await api.post(
+              `${endpoints.download.history}/${retryEntryId}/retry`
+            )
+          : await api.post(endpoints.download.jobs, payload);
+        let job = response.data;
+
+        if (!job?.jobId) {
+          throw new Error("Invalid response structure: missing job ID");
         }
 
-        if (!summary || typeof summary !== 'object') {
-          throw new Error("Invalid response structure: missing or invalid summary object");
+        applyJobSnapshot(job);
+        setActiveUrls(job.items.map((item) => item.url));
+
+        try {
+          job = await watchJobEvents(job, applyJobSnapshot, applyItemEvent);
+        } catch (eventsError) {
+          console.warn(
+            "⚠️ Job events unavailable, polling instead:",
+            eventsError.message
+          );
+          const params =
+            !isAuthenticated && anonymousSessionId
+              ? { sessionId: anonymousSessionId }
+              : {};
+          job = await pollJob(job, params, applyJobSnapshot);
         }
 
-        // Check if we have any successful downloads
-        const successfulCount = summary.successful || 0;
-        const failedCount = summary.failed || 0;
-        const totalCount = summary.total || 0;
-
-        console.log("📊 Download summary:", {
-          total: totalCount,
-          successful: successfulCount,
-          failed: failedCount
+        console.log("📥 Download job finished:", {
+          jobId: job.jobId,
+          status: job.status,
+          summary: job.summary,
         });
 
-        // Process downloads and create ZIP if we have successful downloads
-        if (downloads && downloads.length > 0) {
-          console.log("📦 Processing", downloads.length, "downloads for ZIP creation");
-          
-          try {
-            const result = await processImageDownloads(downloads, summary);
+        if (job.status === "failed") {
+          throw new Error(job.error || "Download job failed");
+        }
 
-            if (result.success) {
-              console.log("✅ ZIP creation successful:", result.message);
-              onSuccess?.({ results, summary, downloads, processResult: result });
-            } else {
-              throw new Error(result.message || "Failed to process downloads");
-            }
-          } catch (zipError) {
-            console.error("❌ ZIP creation failed:", zipError);
-            
-            // Fallback: download images individually
-            console.log("🔄 Falling back to individual downloads...");
-            try {
-              let individualSuccessCount = 0;
-              
-              for (const download of downloads) {
-                try {
-                  if (download.dataUrl && download.filename) {
-                    // Create blob from data URL
-                    const base64Data = download.dataUrl.split(",")[1];
-                    const mimeType = download.dataUrl.match(/data:([^;]+)/)?.[1] || "image/jpeg";
-                    
-                    const byteCharacters = atob(base64Data);
-                    const byteNumbers = new Array(byteCharacters.length);
-                    for (let i = 0; i < byteCharacters.length; i++) {
-                      byteNumbers[i] = byteCharacters.charCodeAt(i);
-                    }
-                    const byteArray = new Uint8Array(byteNumbers);
-                    const blob = new Blob([byteArray], { type: mimeType });
-                    
-                    // Download individual image
-                    const link = document.createElement("a");
-                    link.href = URL.createObjectURL(blob);
-                    link.download = download.filename.replace(/[?&=]/g, "_");
-                    document.body.appendChild(link);
-                    link.click();
-                    document.body.removeChild(link);
-                    URL.revokeObjectURL(link.href);
-                    
-                    individualSuccessCount++;
-                  }
-                } catch (individualError) {
-                  console.error(`Failed to download individual image ${download.filename}:`, individualError);
-                }
+        const { summary } = job;
+        const results = job.items.map((item) =>
+          item.status === "done"
+            ? {
+                url: item.url,
+                success: true,
+                filename: item.filename,
+                size: item.size,
+                contentType: item.contentType,
               }
-              
-              if (individualSuccessCount > 0) {
-                console.log(`✅ Individual downloads completed: ${individualSuccessCount} images`);
-                onSuccess?.({ 
-                  results, 
-                  summary, 
-                  downloads, 
-                  processResult: { 
-                    success: true, 
-                    message: `Downloaded ${individualSuccessCount} images individually (ZIP failed)`,
-                    fallbackUsed: true
-                  } 
-                });
-              } else {
-                throw new Error("Both ZIP creation and individual downloads failed");
+            : {
+                url: item.url,
+                success: false,
+                skipped: item.status === "skipped" || undefined,
+                code: item.code,
+                error: item.error,
+                // Kept so a retry names the image as this batch would have
+                batchIndex: item.batchIndex,
+                n: item.n,
               }
-            } catch (fallbackError) {
-              console.error("❌ Fallback individual downloads also failed:", fallbackError);
-              throw zipError; // Throw original ZIP error
-            }
-          }
-        } else if (successfulCount > 0) {
-          // We have successful downloads but no downloads array (shouldn't happen)
-          console.warn("⚠️ No downloads array but successful count > 0:", successfulCount);
-          onSuccess?.({ results, summary, downloads: [], processResult: { success: true, message: "Downloads processed" } });
-        } else {
-          // No successful downloads at all
-          console.log("❌ No successful downloads found");
-          
-          // Check if all downloads failed
-          if (failedCount === totalCount) {
-            const failedResults = results.filter(r => !r.success);
-            const errorMessages = failedResults.map(r => `${r.url}: ${r.error}`).join('; ');
-            throw new Error(`All downloads failed: ${errorMessages}`);
-          } else {
-            throw new Error("No downloads received from server");
-          }
+        );
+
+        const batch = {
+          jobId: job.jobId,
+          historyEntryId: job.historyEntryId,
+          namingDate: job.namingDate,
+          results,
+          summary,
+        };
+
+        if (summary.successful === 0) {
+          const errorMessages = results
+            .map((r) => `${r.url}: ${r.error}`)
+            .join("; ");
+          const allFailedError = new Error(
+            summary.failed > 0
+              ? `All downloads failed: ${errorMessages}`
+              : `All images were skipped by the filters: ${errorMessages}`
+          );
+          // Keep the results so the failed URLs can still be retried
+          allFailedError.batch = batch;
+          throw allFailedError;
         }
 
-        return { results, summary, downloads };
+        console.log("📦 Following archive link:", job.archiveUrl);
+        followDownloadLink(getApiUrl(job.archiveUrl));
+
+        onSuccess?.(batch);
+
+        return batch;
       } catch (error) {
         console.error("❌ Error in downloadViaBackend:", error);
         
@@ -217,7 +357,7 @@ export const useDownloadManager = () => {
             } else if (errorData.error?.includes("Anonymous users")) {
               errorMessage = `Daily limit exceeded. You have ${
                 errorData.remaining || 0
-              } downloads remaining. Please sign in for unlimited downloads.`;
+              } downloads remaining. Please sign in for more downloads.`;
             } else if (errorData.error?.includes("Registered users")) {
               errorMessage = `Daily limit exceeded. You have ${
                 errorData.limits?.remaining || 0
@@ -243,7 +383,7 @@ export const useDownloadManager = () => {
         }
 
         setError(errorMessage);
-        onError?.({ type: 'UNKNOWN_ERROR', message: errorMessage, originalError: error, details: errorDetails });
+        onError?.({ type: 'UNKNOWN_ERROR', message: errorMessage, originalError: error, details: errorDetails, batch: error.batch });
 
         // Show error toast
         showError(errorMessage);
@@ -252,9 +392,10 @@ export const useDownloadManager = () => {
       } finally {
         setIsDownloading(false);
         setDownloadProgress({});
+        setDownloadStatus({});
       }
     },
-    [isAuthenticated]
+    [isAuthenticated, applyJobSnapshot, applyItemEvent]
   );
 
   /**
@@ -274,6 +415,8 @@ export const useDownloadManager = () => {
    */
   const clearProgress = useCallback(() => {
     setDownloadProgress({});
+    setDownloadStatus({});
+    setActiveUrls([]);
   }, []);
 
   /**
@@ -328,6 +471,8 @@ export const useDownloadManager = () => {
     // State
     isDownloading,
     downloadProgress,
+    downloadStatus,
+    activeUrls,
     error,
 
     // Methods
@@ -0,0 +1,186 @@
+import { useState, useCallback } from "react";
+import api, { endpoints } from "../../../utils/api";
+import { showError, showSuccess } from "../../../utils/errorHandler";
+
+/**
+ * Custom hook for finding image URLs on a web page, sitemap or feed
+ * ("Scrape page" mode)
+ * @returns {Object} Extractor state and methods
+ */
+export const useUrlExtractor = () => {
+  const [candidates, setCandidates] = useState([]);
+  const [selected, setSelected] = useState(new Set());
+  const [isExtracting, setIsExtracting] = useState(false);
+  const [error, setError] = useState("");
+  const [sourceType, setSourceType] = useState(null);
+  // Request to repeat with the next page of a sitemap index, if any
+  const [nextRequest, setNextRequest] = useState(null);
+
+  /**
+   * Run an extraction request and store (or append) its candidates
+   * @param {Object} payload - Request body for the extract endpoint
+   * @param {boolean} append - Add to the current candidates instead of replacing
+   */
+  const runExtraction = useCallback(async (payload, append) => {
+    setIsExtracting(true);
+    setError("");
+
+    try {
+      const response = await api.post(endpoints.download.extract, payload);
+      const found = response.data.candidates || [];
+
+      setSourceType(response.data.sourceType);
+      setNextRequest(
+        Number.isInteger(response.data.nextPage)
+          ? { ...payload, page: response.data.nextPage }
+          : null
+      );
+
+      // Everything starts selected; users usually only drop a few
+      if (append) {
+        setCandidates((prev) => {
+          const known = new Set(prev.map((candidate) => candidate.url));
+          return [
+            ...prev,
+            ...found.filter((candidate) => !known.has(candidate.url)),
+          ];
+        });
+        setSelected((prev) => {
+          const next = new Set(prev);
+          found.forEach((candidate) => next.add(candidate.url));
+          return next;
+        });
+      } else {
+        setCandidates(found);
+        setSelected(new Set(found.map((candidate) => candidate.url)));
+      }
+
+      if (found.length === 0) {
+        showError("No images found");
+      } else {
+        showSuccess(`Found ${found.length} images`);
+      }
+
+      // Child sitemaps of an index that failed, ran out of time or are
+      // indexes themselves (which can be scraped on their own)
+      const skipped = response.data.skippedSitemaps || [];
+      if (skipped.length > 0) {
+        console.warn("Skipped child sitemaps:", skipped);
+        showError(
+          `Skipped ${skipped.length} child sitemap(s): ${skipped
+            .map(({ url, reason }) => `${url} (${reason})`)
+            .join(", ")}`
+        );
+      }
+    } catch (extractError) {
+      const message =
+        extractError.response?.data?.error || "Failed to scrape page";
+      console.error("Page extraction failed:", extractError);
+      if (!append) {
+        setCandidates([]);
+        setSelected(new Set());
+        setNextRequest(null);
+      }
+      setError(message);
+      showError(message);
+    } finally {
+      setIsExtracting(false);
+    }
+  }, []);
+
+  /**
+   * Ask the backend for the image URLs referenced by a page, sitemap, feed
+   * or HTML snippet
+   * @param {string} source - Page, sitemap or feed URL, or HTML starting with "<"
+   * @param {Object} options - Extraction options
+   * @param {string} options.preferredFormat - Format to prefer among
+   *   srcset/picture variants, e.g. "webp" (empty for the largest of any)
+   */
+  const extract = useCallback(
+    async (source, { preferredFormat = "" } = {}) => {
+      const input = source?.trim();
+      if (!input) {
+        showError("Please enter a page URL or HTML snippet");
+        return;
+      }
+
+      const payload = input.startsWith("<") ? { html: input } : { url: input };
+      if (preferredFormat) {
+        payload.preferredFormat = preferredFormat;
+      }
+
+      await runExtraction(payload, false);
+    },
+    [runExtraction]
+  );
+
+  /**
+   * Read the next page of child sitemaps of a sitemap index
+   */
+  const loadMore = useCallback(async () => {
+    if (nextRequest) {
+      await runExtraction(nextRequest, true);
+    }
+  }, [nextRequest, runExtraction]);
+
+  /**
+   * Select or deselect a single candidate
+   * @param {string} url - Candidate URL
+   */
+  const toggle = useCallback((url) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(url)) {
+        next.delete(url);
+      } else {
+        next.add(url);
+      }
+      return next;
+    });
+  }, []);
+
+  /**
+   * Select all candidates, or none if all are selected already
+   */
+  const toggleAll = useCallback(() => {
+    setSelected((prev) =>
+      prev.size === candidates.length
+        ? new Set()
+        : new Set(candidates.map((candidate) => candidate.url))
+    );
+  }, [candidates]);
+
+  /**
+   * Forget the current candidates
+   */
+  const reset = useCallback(() => {
+    setCandidates([]);
+    setSelected(new Set());
+    setError("");
+    setSourceType(null);
+    setNextRequest(null);
+  }, []);
+
+  return {
+    // State
+    candidates,
+    selected,
+    isExtracting,
+    error,
+    sourceType,
+
+    // Methods
+    extract,
+    loadMore,
+    toggle,
+    toggleAll,
+    reset,
+
+    // Computed values
+    selectedUrls: candidates
+      .map((candidate) => candidate.url)
+      .filter((url) => selected.has(url)),
+    hasCandidates: candidates.length > 0,
+    hasMore: !!nextRequest,
+  };
+};
@@ -0,0 +1,249 @@
+import { useState, useCallback } from "react";
+import {
+  parseDelimited,
+  rowsToTable,
+  findUrlColumn,
+  looksLikeUrl,
+  mapRowsToItems,
+} from "../../../utils/csvParser";
+import { selectJson, findUrlSelector } from "../../../utils/jsonSelector";
+import { getSheetNames, readSheetRows } from "../../../utils/spreadsheetParser";
+
+/**
+ * Start a column mapping for a table, guessing the URL column
+ * @param {Array<Array<string>>} rows - Rows of fields, header included
+ * @param {Object} options - Options passed on to rowsToTable
+ * @returns {Object} { rows, table, mapping }
+ */
+const startMapping = (rows, options = {}) => {
+  const table = rowsToTable(rows, options);
+  return {
+    rows,
+    table,
+    mapping: { url: findUrlColumn(table), filename: -1, folder: -1 },
+  };
+};
+
+/**
+ * Evaluate the URL selector of a JSON import
+ * @param {*} data - Parsed JSON
+ * @param {string} selector - JSONPath-like selector
+ * @returns {Object} { selector, selectorError, urls }
+ */
+const applySelector = (data, selector) => {
+  try {
+    const urls = selectJson(data, selector).filter(
+      (value) => typeof value === "string" && looksLikeUrl(value.trim())
+    );
+    return {
+      selector,
+      selectorError: "",
+      urls: [...new Set(urls.map((url) => url.trim()))],
+    };
+  } catch (selectorError) {
+    return { selector, selectorError: selectorError.message, urls: [] };
+  }
+};
+
+/**
+ * Custom hook for importing URL lists from CSV/TSV files and XLSX workbooks
+ * (with a column-mapping step) and from JSON documents (with a URL
+ * selector). The mapped filename and folder of each URL are kept so the
+ * server can name the archive entries.
+ * @returns {Object} Import state and methods
+ */
+export const useUrlImport = () => {
+  // Table or JSON document waiting for the user to map its columns
+  const [pendingImport, setPendingImport] = useState(null);
+  // Requested { filename, folder } and row columns per imported URL
+  const [naming, setNaming] = useState({});
+  // Column headers of the imported table, for grouping images into folders
+  const [columnNames, setColumnNames] = useState([]);
+
+  /**
+   * Parse a delimited file and start the column-mapping step
+   * @param {string} text - File content
+   * @param {string} fileName - Name of the uploaded file
+   * @param {Object} options - Parse options: { delimiter, hasHeader }, where
+   *   the delimiter is detected by the caller (see utils/csvParser.js) and
+   *   defaults to a comma
+   * @returns {Object} Parsed table
+   */
+  const startImport = useCallback((text, fileName, options = {}) => {
+    const delimiter = options.delimiter || ",";
+    const pending = startMapping(parseDelimited(text, delimiter), options);
+    setPendingImport({ kind: "table", fileName, ...pending });
+    return pending.table;
+  }, []);
+
+  /**
+   * Read the first sheet of an XLSX workbook and start the column-mapping
+   * step
+   * @param {File} file - Uploaded workbook
+   * @returns {Promise<Object>} Parsed table
+   */
+  const startSpreadsheetImport = useCallback(async (file) => {
+    const sheetNames = await getSheetNames(file);
+    const rows = await readSheetRows(file, sheetNames[0]);
+    const pending = startMapping(rows);
+    setPendingImport({
+      kind: "table",
+      fileName: file.name,
+      file,
+      sheetNames,
+      sheet: sheetNames[0],
+      ...pending,
+    });
+    return pending.table;
+  }, []);
+
+  /**
+   * Switch the pending workbook import to another sheet
+   * @param {string} sheet - Sheet name
+   */
+  const selectSheet = useCallback(
+    async (sheet) => {
+      if (!pendingImport?.file) {
+        return;
+      }
+      const rows = await readSheetRows(pendingImport.file, sheet);
+      setPendingImport((prev) =>
+        prev ? { ...prev, sheet, ...startMapping(rows) } : prev
+      );
+    },
+    [pendingImport]
+  );
+
+  /**
+   * Parse a JSON document and start the URL-selector step
+   * @param {string} text - File content
+   * @param {string} fileName - Name of the uploaded file
+   * @returns {Array} URLs matched by the guessed selector
+   * @throws {SyntaxError} If the file is not valid JSON
+   */
+  const startJsonImport = useCallback((text, fileName) => {
+    const data = JSON.parse(text);
+    const selection = applySelector(data, findUrlSelector(data) || "$[*]");
+    setPendingImport({ kind: "json", fileName, data, ...selection });
+    return selection.urls;
+  }, []);
+
+  /**
+   * Change the URL selector of the pending JSON import
+   * @param {string} selector - JSONPath-like selector
+   */
+  const setSelector = useCallback((selector) => {
+    setPendingImport((prev) =>
+      prev?.kind === "json"
+        ? { ...prev, ...applySelector(prev.data, selector) }
+        : prev
+    );
+  }, []);
+
+  /**
+   * Re-read the pending table with or without a header row
+   * @param {boolean} hasHeader - Whether the first row holds column names
+   */
+  const setHasHeader = useCallback((hasHeader) => {
+    setPendingImport((prev) =>
+      prev?.rows
+        ? { ...prev, table: rowsToTable(prev.rows, { hasHeader }) }
+        : prev
+    );
+  }, []);
+
+  /**
+   * Choose the column for a field of the mapping
+   * @param {string} field - "url", "filename" or "folder"
+   * @param {number} column - Column index (-1 for none)
+   */
+  const setColumn = useCallback((field, column) => {
+    setPendingImport((prev) =>
+      prev ? { ...prev, mapping: { ...prev.mapping, [field]: column } } : prev
+    );
+  }, []);
+
+  /**
+   * Finish the mapping step
+   * @returns {Array} Imported items: [{ url, filename, folder, columns }]
+   */
+  const confirmImport = useCallback(() => {
+    if (pendingImport?.kind === "json") {
+      setNaming({});
+      setPendingImport(null);
+      return pendingImport.urls.map((url) => ({ url }));
+    }
+
+    if (!pendingImport || pendingImport.mapping.url < 0) {
+      return [];
+    }
+
+    const items = mapRowsToItems(pendingImport.table, pendingImport.mapping);
+    const nextNaming = {};
+    // Rows are kept for {csv.*} tokens of the naming template
+    items.forEach(({ url, filename, folder, columns }) => {
+      nextNaming[url] = { filename, folder, columns };
+    });
+
+    setNaming(nextNaming);
+    setColumnNames(pendingImport.table.headers);
+    setPendingImport(null);
+    return items;
+  }, [pendingImport]);
+
+  /**
+   * Abandon the mapping step
+   */
+  const cancelImport = useCallback(() => {
+    setPendingImport(null);
+  }, []);
+
+  /**
+   * Forget the names of previously imported URLs
+   */
+  const clearNaming = useCallback(() => {
+    setNaming({});
+    setColumnNames([]);
+  }, []);
+
+  /**
+   * Build download items for a list of URLs, with any imported names and
+   * row columns
+   * @param {Array} urls - URLs to download
+   * @returns {Array|null} Items, or null when no URL was imported from a table
+   */
+  const getItems = useCallback(
+    (urls) => {
+      if (!urls.some((url) => naming[url])) {
+        return null;
+      }
+      return urls.map((url) => ({ url, ...naming[url] }));
+    },
+    [naming]
+  );
+
+  return {
+    // State
+    pendingImport,
+    naming,
+    columnNames,
+
+    // Methods
+    startImport,
+    startSpreadsheetImport,
+    selectSheet,
+    startJsonImport,
+    setSelector,
+    setHasHeader,
+    setColumn,
+    confirmImport,
+    cancelImport,
+    clearNaming,
+    getItems,
+
+    // Computed values
+    isMapping: !!pendingImport,
+    isJsonImport: pendingImport?.kind === "json",
+    hasNaming: Object.keys(naming).length > 0,
+  };
+};
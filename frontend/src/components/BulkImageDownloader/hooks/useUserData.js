@@ -1,5 +1,6 @@
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useMemo } from "react";
 import { useAuth } from "../../../contexts/AuthContext";
+import { usePlans } from "../../../contexts/usePlans";
 import api, { endpoints } from "../../../utils/api";
 import { handleError, showSuccess } from "../../../utils/errorHandler";
 
@@ -27,8 +28,9 @@ const getAnonymousSessionId = () => {
  */
 export const useUserData = () => {
   const { isAuthenticated } = useAuth();
+  const { getPlan } = usePlans();
   const [stats, setStats] = useState(null);
-  const [remainingDownloads, setRemainingDownloads] = useState(null);
+  const [fetchedDownloads, setFetchedDownloads] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [anonymousSessionId, setAnonymousSessionId] = useState(null);
@@ -83,13 +85,13 @@ export const useUserData = () => {
       console.log("Anonymous session ID:", anonymousSessionId);
 
       // Reset while fetching to avoid showing stale data
-      setRemainingDownloads(null);
+      setFetchedDownloads(null);
 
       if (isAuthenticated) {
         console.log("Making authenticated API call...");
         const response = await api.get(endpoints.download.remaining);
         console.log("✅ Authenticated user download response:", response.data);
-        setRemainingDownloads(response.data);
+        setFetchedDownloads(response.data);
       } else {
         console.log("Anonymous user, fetching download count with session ID");
         
@@ -99,7 +101,7 @@ export const useUserData = () => {
         });
         
         console.log("✅ Anonymous user download response:", response.data);
-        setRemainingDownloads(response.data);
+        setFetchedDownloads(response.data);
       }
     } catch (error) {
       const errorInfo = handleError(error, "fetchRemainingDownloads", {
@@ -108,20 +110,29 @@ export const useUserData = () => {
       setError(errorInfo);
       console.error("❌ Failed to fetch remaining downloads:", error);
 
-      // Safer defaults on error: never assume Unlimited
-      const fallbackData = {
-        current: 0,
-        remaining: isAuthenticated ? 10 : 5,
-        limit: isAuthenticated ? 10 : 5,
-        error: true,
-      };
-      console.log("Setting fallback data:", fallbackData);
-      setRemainingDownloads(fallbackData);
+      // The limits are filled in from the plans below
+      setFetchedDownloads({ current: 0, error: true });
     } finally {
       setLoading(false);
     }
   }, [isAuthenticated, anonymousSessionId]);
 
+  // Safer defaults on error: the limit of the free plan, never Unlimited
+  const fallbackLimit =
+    getPlan(isAuthenticated ? "registered" : "anonymous")?.dailyDownloads || 0;
+  const remainingDownloads = useMemo(
+    () =>
+      fetchedDownloads?.error
+        ? { ...fetchedDownloads, remaining: fallbackLimit, limit: fallbackLimit }
+        : fetchedDownloads,
+    [fetchedDownloads, fallbackLimit]
+  );
+
+  // Plan of the user, or null until the plans are loaded
+  const plan = getPlan(
+    remainingDownloads?.tier || (isAuthenticated ? "registered" : "anonymous")
+  );
+
   /**
    * Refresh all user data
    */
@@ -208,6 +219,7 @@ export const useUserData = () => {
     // State
     stats,
     remainingDownloads,
+    plan,
     loading,
     error,
     anonymousSessionId,
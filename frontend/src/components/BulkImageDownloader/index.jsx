@@ -3,8 +3,58 @@ import { useAuth } from "../../contexts/AuthContext";
 import { useUserData } from "./hooks/useUserData";
 import { useDownloadHistory } from "./hooks/useDownloadHistory";
 import { useDownloadManager } from "./hooks/useDownloadManager";
-import { showSuccess, showError } from "../../utils/errorHandler";
+import { useUrlExtractor } from "./hooks/useUrlExtractor";
+import { useUrlImport } from "./hooks/useUrlImport";
+import {
+  showSuccess,
+  showError,
+  describeDownloadError,
+} from "../../utils/errorHandler";
 import api, { endpoints } from "../../utils/api";
+import { detectDelimiter, detectTableDelimiter } from "../../utils/csvParser";
+import {
+  TEMPLATE_TOKENS,
+  previewTemplate,
+  validateTemplate,
+} from "../../utils/filenameTemplate";
+import {
+  ARCHIVE_LAYOUTS,
+  DEFAULT_CHUNK_SIZE,
+  MAX_CHUNK_SIZE,
+  buildLayout,
+  validateLayout,
+} from "../../utils/archiveLayout";
+import {
+  OUTPUT_FORMATS,
+  DEFAULT_QUALITY,
+  hasQuality,
+  buildConversion,
+  validateConversion,
+  FIT_MODES,
+  MAX_DIMENSION,
+  DEFAULT_THUMBNAIL_SIZE,
+  buildResize,
+  validateResize,
+  SVG_MODES,
+  SVG_SIZE_UNITS,
+  buildSvgOptions,
+  validateSvgOptions,
+  METADATA_MODES,
+} from "../../utils/imageProcessing";
+import {
+  HASH_ALGORITHMS,
+  DEFAULT_THRESHOLD,
+  MAX_THRESHOLD,
+  buildSimilarity,
+  validateSimilarity,
+} from "../../utils/similarity";
+import {
+  FILTER_FORMATS,
+  EMPTY_FILTERS,
+  buildFilters,
+  validateFilters,
+} from "../../utils/imageFilters";
+import { formatBytes } from "../../utils/formatBytes";
 import {
   Download,
   Upload,
@@ -19,6 +69,12 @@ import {
   ExternalLink,
   History,
   BarChart3,
+  RotateCcw,
+  Globe,
+  Search,
+  Tag,
+  Image as ImageIcon,
+  Filter,
 } from "lucide-react";
 
 /**
@@ -31,12 +87,52 @@ const BulkImageDownloader = () => {
   const [uploadedFileName, setUploadedFileName] = useState("");
   const [showPreview, setShowPreview] = useState(false);
   const [previewUrls, setPreviewUrls] = useState([]);
+  const [inputMode, setInputMode] = useState("list"); // "list" or "scrape"
+  const [pageUrl, setPageUrl] = useState("");
+  const [preferredFormat, setPreferredFormat] = useState("");
+  // Naming template for the files in the ZIP (empty keeps the URL names)
+  const [filenameTemplate, setFilenameTemplate] = useState("");
+  // Store byte-identical images in the ZIP once
+  const [dedupe, setDedupe] = useState(false);
+  // Store near-identical images (resized or recompressed copies) once
+  const [findSimilar, setFindSimilar] = useState(false);
+  const [hashAlgorithm, setHashAlgorithm] = useState("dhash");
+  const [similarityThreshold, setSimilarityThreshold] = useState("");
+  const [keepLargest, setKeepLargest] = useState(false);
+  // Folders the images are arranged in inside the ZIP
+  const [layoutType, setLayoutType] = useState("flat");
+  const [layoutColumn, setLayoutColumn] = useState("");
+  const [chunkSize, setChunkSize] = useState(String(DEFAULT_CHUNK_SIZE));
+  // Format the server converts every image to (empty keeps the originals)
+  const [outputFormat, setOutputFormat] = useState("");
+  const [outputQuality, setOutputQuality] = useState("");
+  // Maximum size of every image (empty keeps the original size)
+  const [resizeWidth, setResizeWidth] = useState("");
+  const [resizeHeight, setResizeHeight] = useState("");
+  const [resizeFit, setResizeFit] = useState("inside");
+  // Thumbnails stored in thumbs/ next to the images
+  const [withThumbnails, setWithThumbnails] = useState(false);
+  const [thumbnailSize, setThumbnailSize] = useState(
+    String(DEFAULT_THUMBNAIL_SIZE)
+  );
+  // SVG handling: rasterize, keep or both, and the size of the PNG
+  const [svgMode, setSvgMode] = useState("convert");
+  const [svgSizeUnit, setSvgSizeUnit] = useState("scale");
+  const [svgSize, setSvgSize] = useState("");
+  // EXIF handling: metadata mode, rotation and extraction into the manifest
+  const [metadataMode, setMetadataMode] = useState("");
+  const [autoRotate, setAutoRotate] = useState(false);
+  const [extractExif, setExtractExif] = useState(false);
+  // Bounds that skip tracking pixels, spacers and icons
+  const [filterValues, setFilterValues] = useState(EMPTY_FILTERS);
   const fileInputRef = useRef(null);
 
   // Custom hooks
   const userData = useUserData();
   const downloadHistory = useDownloadHistory();
   const downloadManager = useDownloadManager();
+  const urlExtractor = useUrlExtractor();
+  const urlImport = useUrlImport();
 
   // Event handlers
   const handleUrlInput = (e) => {
@@ -60,26 +156,72 @@ const BulkImageDownloader = () => {
       file.type
     );
 
-    // Check file size (max 1MB)
-    if (file.size > 1024 * 1024) {
-      showError("File too large. Please use a file smaller than 1MB.");
+    const lowerName = file.name.toLowerCase();
+    const isSpreadsheet = lowerName.endsWith(".xlsx");
+
+    // Check file size (max 1MB, 5MB for workbooks which are zipped XML)
+    const maxSize = isSpreadsheet ? 5 * 1024 * 1024 : 1024 * 1024;
+    if (file.size > maxSize) {
+      showError(
+        `File too large. Please use a file smaller than ${
+          isSpreadsheet ? "5MB" : "1MB"
+        }.`
+      );
       return;
     }
 
     // Check file type - be more lenient with file types
-    const allowedTypes = ["text/plain", "text/csv", "application/csv", ""];
-    const allowedExtensions = [".txt", ".csv", ".list", ".urls"];
+    const allowedTypes = [
+      "text/plain",
+      "text/csv",
+      "application/csv",
+      "text/tab-separated-values",
+      "application/json",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      "",
+    ];
+    const allowedExtensions = [
+      ".txt",
+      ".csv",
+      ".tsv",
+      ".json",
+      ".xlsx",
+      ".list",
+      ".urls",
+    ];
     const hasValidType =
       allowedTypes.includes(file.type) ||
-      allowedExtensions.some((ext) => file.name.toLowerCase().endsWith(ext));
+      allowedExtensions.some((ext) => lowerName.endsWith(ext));
 
     if (!hasValidType) {
       showError(
-        "Please upload a text file (.txt, .csv, .list, .urls) or a file with URLs."
+        "Please upload a text file (.txt, .csv, .tsv, .json, .list, .urls), an Excel workbook (.xlsx) or a file with URLs."
       );
       return;
     }
 
+    // Workbooks are read directly from the file, then mapped like CSV
+    if (isSpreadsheet) {
+      urlImport
+        .startSpreadsheetImport(file)
+        .then((table) => {
+          if (table.rows.length === 0) {
+            urlImport.cancelImport();
+            showError("The first sheet of this workbook is empty.");
+            return;
+          }
+          setUploadedFileName(file.name);
+          downloadManager.clearError();
+        })
+        .catch((workbookError) => {
+          console.error("Error reading workbook:", workbookError);
+          showError(
+            "Failed to read workbook. Please upload a valid .xlsx file."
+          );
+        });
+      return;
+    }
+
     const reader = new FileReader();
     reader.onload = (event) => {
       console.log("File content loaded, length:", event.target.result.length);
@@ -90,6 +232,49 @@ const BulkImageDownloader = () => {
 
       let content = event.target.result;
 
+      // JSON documents go through the URL-selector step
+      if (lowerName.endsWith(".json") || file.type === "application/json") {
+        try {
+          urlImport.startJsonImport(content, file.name);
+          setUploadedFileName(file.name);
+          downloadManager.clearError();
+        } catch (jsonError) {
+          console.error("Error parsing JSON:", jsonError);
+          showError(
+            "Failed to parse JSON file. Please check the file content."
+          );
+        }
+        return;
+      }
+
+      // Tables (e.g. a product export like sku,name,image_url) go through
+      // the column-mapping step instead of being read line by line. Other
+      // files only do with a header row or a column besides the URLs.
+      const isTableFile = /\.(csv|tsv)$/i.test(file.name);
+      const delimiter = isTableFile
+        ? detectDelimiter(content)
+        : detectTableDelimiter(content);
+      if (isTableFile || delimiter) {
+        const table = urlImport.startImport(content, file.name, {
+          delimiter,
+        });
+        if (table.rows.length === 0) {
+          urlImport.cancelImport();
+          showError("File appears to be empty. Please check the file content.");
+          return;
+        }
+        setUploadedFileName(file.name);
+        downloadManager.clearError();
+        console.log(
+          "Table file loaded:",
+          table.headers.length,
+          "columns,",
+          table.rows.length,
+          "rows"
+        );
+        return;
+      }
+
       // Handle different line endings (Windows \r\n, Mac \r, Unix \n)
       content = content.replace(/\r\n/g, "\n").replace(/\r/g, "\n");
 
@@ -111,6 +296,7 @@ const BulkImageDownloader = () => {
       }
 
       setUrls(content);
+      urlImport.clearNaming();
       setUploadedFileName(file.name);
       downloadManager.clearError();
       console.log(
@@ -145,6 +331,116 @@ const BulkImageDownloader = () => {
       return;
     }
 
+    return runBatch(urlList);
+  };
+
+  // Re-run only the URLs that failed in an earlier batch, with the options
+  // and names of that batch
+  const handleRetryFailed = async (entry) => {
+    if (!entry.failedUrls?.length) {
+      return;
+    }
+
+    return runBatch(entry.failedUrls, {
+      retryOf: entry.id,
+      // Signed-in users retry the server's copy of the batch
+      retryEntryId: isAuthenticated ? entry.serverHistoryId : null,
+      retryBatch: {
+        ...entry.retryBatch,
+        items: entry.retryBatch.items.filter((item) =>
+          entry.failedUrls.includes(item.url)
+        ),
+      },
+    });
+  };
+
+  // Folder layout of the ZIP, sent with every batch
+  const layout = buildLayout(layoutType, {
+    column: layoutColumn,
+    size: chunkSize,
+  });
+  const layoutError = validateLayout(layout);
+
+  // Near-duplicate detection, sent with every batch
+  const similarity = findSimilar
+    ? buildSimilarity(hashAlgorithm, similarityThreshold, keepLargest)
+    : null;
+  const similarityError = validateSimilarity(similarity);
+
+  // Server-side processing, sent with every batch
+  const processing = {
+    convert: buildConversion(outputFormat, outputQuality),
+    resize: buildResize(resizeWidth, resizeHeight, resizeFit),
+    thumbnails: withThumbnails
+      ? buildResize(thumbnailSize, thumbnailSize)
+      : null,
+    svg: buildSvgOptions(svgMode, svgSizeUnit, svgSize),
+    metadata: metadataMode || null,
+    autoRotate,
+    extractExif,
+  };
+  const processingError =
+    validateConversion(processing.convert) ||
+    validateResize(processing.resize) ||
+    validateResize(processing.thumbnails, "Thumbnail") ||
+    validateSvgOptions(processing.svg) ||
+    (withThumbnails && !processing.thumbnails
+      ? "Enter the thumbnail size"
+      : null);
+
+  // Images outside these bounds are skipped by the server
+  const filters = buildFilters(filterValues);
+  const filtersError = validateFilters(filters);
+  const setFilterValue = (name, value) =>
+    setFilterValues((prev) => ({ ...prev, [name]: value }));
+  const toggleFilterFormat = (format, checked) =>
+    setFilterValues((prev) => ({
+      ...prev,
+      formats: checked
+        ? [...prev.formats, format]
+        : prev.formats.filter((f) => f !== format),
+    }));
+
+  const runBatch = async (
+    urlList,
+    { retryOf = null, retryEntryId = null, retryBatch = null } = {}
+  ) => {
+    const template = filenameTemplate.trim();
+    // Retries reuse the options of their original batch, so only new
+    // batches are checked against the current ones
+    if (!retryBatch) {
+      if (template && validateTemplate(template)) {
+        showError(`Invalid naming template: ${validateTemplate(template)}`);
+        return;
+      }
+      if (layoutError) {
+        showError(`Invalid folder layout: ${layoutError}`);
+        return;
+      }
+      if (similarityError) {
+        showError(`Invalid near-duplicate detection: ${similarityError}`);
+        return;
+      }
+      if (processingError) {
+        showError(`Invalid image processing: ${processingError}`);
+        return;
+      }
+      if (filtersError) {
+        showError(`Invalid filters: ${filtersError}`);
+        return;
+      }
+    }
+
+    const options = retryBatch?.options || {
+      template,
+      dedupe,
+      similarity,
+      layout,
+      processing,
+      filters,
+    };
+    const items = retryBatch ? retryBatch.items : urlImport.getItems(urlList);
+
     // Check download limits before starting
     if (!userData.canDownload(urlList.length)) {
       const downloadInfo = userData.getDownloadInfo();
@@ -152,37 +448,77 @@ const BulkImageDownloader = () => {
       return;
     }
 
+    const addToHistory = (downloadResult) => {
+      downloadHistory.addDownloadEntry({
+        totalCount: urlList.length,
+        successCount: downloadResult.summary?.successful || 0,
+        failedCount: downloadResult.summary?.failed || 0,
+        results: downloadResult.results || [],
+        urls: urlList, // Add the URLs to the history
+        serverHistoryId: downloadResult.historyEntryId,
+        retryOf,
+        options,
+        items,
+        namingDate: downloadResult.namingDate,
+      });
+    };
+
     try {
       const result = await downloadManager.downloadViaBackend(
         urlList,
         // Success callback
         (downloadResult) => {
           // Add to download history
-          downloadHistory.addDownloadEntry({
-            totalCount: urlList.length,
-            successCount: downloadResult.summary?.successful || 0,
-            failedCount: downloadResult.summary?.failed || 0,
-            results: downloadResult.results || [],
-            urls: urlList, // Add the URLs to the history
-          });
+          addToHistory(downloadResult);
 
           // Refresh user data (for both authenticated and anonymous users)
           userData.refreshUserData();
 
           // Show success message - only if we actually have successful downloads
           const successfulCount = downloadResult.summary?.successful || 0;
+          const duplicateCount = downloadResult.summary?.duplicates || 0;
+          const similarCount = downloadResult.summary?.similar || 0;
+          const skippedCount = downloadResult.summary?.skipped || 0;
           if (successfulCount > 0) {
             showSuccess(
-              `Download completed! ${successfulCount} images downloaded.`
+              [
+                `Download completed! ${successfulCount} images downloaded`,
+                duplicateCount > 0 &&
+                  `${duplicateCount} identical images stored once`,
+                similarCount > 0 && `${similarCount} near-duplicates left out`,
+                skippedCount > 0 &&
+                  `${skippedCount} images skipped by the filters`,
+              ]
+                .filter(Boolean)
+                .join(", ") + "."
+            );
+          }
+
+          const failedCount = downloadResult.summary?.failed || 0;
+          if (failedCount > 0) {
+            showError(
+              `${failedCount} images could not be downloaded. See Download History for details.`
             );
           }
         },
         // Error callback
         (errorInfo) => {
           console.error("Download failed:", errorInfo);
+
+          // Batches where every URL failed can still be retried later
+          if (errorInfo.batch) {
+            addToHistory(errorInfo.batch);
+          }
         },
         // Pass anonymous session ID for anonymous users
-        userData.anonymousSessionId
+        userData.anonymousSessionId,
+        // Imported filenames and folders (or the template) name the
+        // archive entries
+        {
+          retryEntryId,
+          items,
+          ...options,
+        }
       );
 
       return result;
@@ -191,6 +527,48 @@ const BulkImageDownloader = () => {
     }
   };
 
+  // Show the columns of another sheet of an imported workbook
+  const handleSelectSheet = async (sheet) => {
+    try {
+      await urlImport.selectSheet(sheet);
+    } catch (sheetError) {
+      console.error("Error reading sheet:", sheetError);
+      showError("Failed to read this sheet of the workbook.");
+    }
+  };
+
+  // Use the mapped columns (or selected JSON field) of an import as the URL list
+  const handleConfirmImport = () => {
+    const items = urlImport.confirmImport();
+
+    if (items.length === 0) {
+      showError(
+        urlImport.isJsonImport
+          ? "The selector matches no http(s) URLs"
+          : "The selected column contains no http(s) URLs"
+      );
+      return;
+    }
+
+    setUrls(items.map((item) => item.url).join("\n"));
+    showSuccess(`Imported ${items.length} URLs`);
+  };
+
+  // Append the selected scraped images to the URL list
+  const handleUseSelected = () => {
+    const existing = urls
+      .split("\n")
+      .map((url) => url.trim())
+      .filter((url) => url.length > 0);
+    const added = urlExtractor.selectedUrls.filter(
+      (url) => !existing.includes(url)
+    );
+
+    setUrls([...existing, ...added].join("\n"));
+    setInputMode("list");
+    showSuccess(`Added ${added.length} URLs to the list`);
+  };
+
   const validateUrlsLocally = async () => {
     const urlList = urls
       .split("\n")
@@ -246,6 +624,22 @@ const BulkImageDownloader = () => {
     };
   }, [userData]);
 
+  // Example names for the current URL list under the naming template
+  const templateError = filenameTemplate.trim()
+    ? validateTemplate(filenameTemplate.trim())
+    : null;
+  const listUrls = urls
+    .split("\n")
+    .map((url) => url.trim())
+    .filter((url) => url.length > 0);
+  const templatePreview =
+    filenameTemplate.trim() && !templateError && listUrls.length > 0
+      ? previewTemplate(
+          filenameTemplate.trim(),
+          urlImport.getItems(listUrls) || listUrls.map((url) => ({ url }))
+        )
+      : [];
+
   return (
     <div className="space-y-6">
       {/* Main Content */}
@@ -256,9 +650,30 @@ const BulkImageDownloader = () => {
           <div className="card">
             <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-4 space-y-2 sm:space-y-0">
               <h2 className="text-lg sm:text-xl font-semibold text-gray-900">
-                Enter Image URLs
+                {inputMode === "scrape"
+                  ? "Scrape a Page, Sitemap or Feed"
+                  : "Enter Image URLs"}
               </h2>
               <div className="flex flex-col sm:flex-row space-y-2 sm:space-y-0 sm:space-x-2">
+                <button
+                  onClick={() =>
+                    setInputMode(inputMode === "scrape" ? "list" : "scrape")
+                  }
+                  disabled={downloadManager.isDownloading}
+                  className="btn-secondary text-sm px-3 py-2 flex items-center justify-center space-x-2"
+                >
+                  {inputMode === "scrape" ? (
+                    <>
+                      <FileText className="w-4 h-4" />
+                      <span>URL List</span>
+                    </>
+                  ) : (
+                    <>
+                      <Globe className="w-4 h-4" />
+                      <span>Scrape Page</span>
+                    </>
+                  )}
+                </button>
                 <button
                   onClick={() => fileInputRef.current?.click()}
                   className="btn-secondary text-sm px-3 py-2 flex items-center justify-center space-x-2"
@@ -270,7 +685,7 @@ const BulkImageDownloader = () => {
                 <input
                   ref={fileInputRef}
                   type="file"
-                  accept=".txt,.csv,.list,.urls"
+                  accept=".txt,.csv,.tsv,.json,.xlsx,.list,.urls"
                   onChange={handleFileUpload}
                   className="hidden"
                 />
@@ -282,63 +697,791 @@ const BulkImageDownloader = () => {
               </div>
             </div>
 
-            <div className="space-y-4">
-              <textarea
-                id="urls"
-                value={urls}
-                onChange={handleUrlInput}
-                placeholder="Enter image URLs here, one per line...&#10;Example:&#10;https://example.com/image1.jpg&#10;https://example.com/image2.png"
-                rows={8}
-                disabled={downloadManager.isDownloading}
-                className="input-field resize-none whitespace-pre overflow-x-auto text-sm sm:text-base"
-                wrap="off"
-              />
-
-              <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-3 sm:space-y-0">
-                <div className="text-sm text-gray-600">
-                  {urls.split("\n").filter((url) => url.trim()).length} URLs
-                </div>
-                <div className="text-xs text-gray-500 bg-blue-50 px-2 py-1 rounded">
-                  💡{" "}
-                  {userData.isProUser
-                    ? "Pro: Up to 100 URLs per request"
-                    : userData.isAuthenticated
-                    ? "Registered: Up to 10 URLs per request"
-                    : "Anonymous: Up to 5 URLs per request"}
-                </div>
-              </div>
-
-              <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-3 sm:space-y-0">
+            {inputMode === "scrape" ? (
+              <div className="space-y-4">
                 <div className="flex flex-col sm:flex-row space-y-2 sm:space-y-0 sm:space-x-2">
-                  <button
-                    onClick={validateUrlsLocally}
-                    disabled={!urls.trim() || downloadManager.isDownloading}
-                    className="btn-secondary text-sm px-3 py-2"
+                  <textarea
+                    value={pageUrl}
+                    onChange={(e) => setPageUrl(e.target.value)}
+                    placeholder="Page, sitemap or RSS/Atom feed URL, e.g. https://example.com/sitemap.xml&#10;or paste an HTML snippet"
+                    rows={2}
+                    disabled={urlExtractor.isExtracting}
+                    className="input-field flex-1 resize-none text-sm sm:text-base"
+                  />
+                  <select
+                    value={preferredFormat}
+                    onChange={(e) => setPreferredFormat(e.target.value)}
+                    className="input-field sm:w-40 text-sm"
+                    title="Format to prefer when a page offers several"
                   >
-                    Validate URLs
-                  </button>
+                    <option value="">Largest, any format</option>
+                    <option value="webp">Prefer WebP</option>
+                    <option value="avif">Prefer AVIF</option>
+                    <option value="jpg">Prefer JPEG</option>
+                    <option value="png">Prefer PNG</option>
+                  </select>
                   <button
-                    onClick={handleDownload}
-                    disabled={!urls.trim() || downloadManager.isDownloading}
+                    onClick={() =>
+                      urlExtractor.extract(pageUrl, { preferredFormat })
+                    }
+                    disabled={!pageUrl.trim() || urlExtractor.isExtracting}
                     className="btn-primary text-sm px-3 py-2 flex items-center justify-center space-x-2"
                   >
-                    {downloadManager.isDownloading ? (
+                    {urlExtractor.isExtracting ? (
                       <>
                         <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
-                        <span>Downloading...</span>
+                        <span>Scanning...</span>
                       </>
                     ) : (
                       <>
-                        <Download className="w-4 h-4" />
-                        <span>Download All</span>
+                        <Search className="w-4 h-4" />
+                        <span>Find Images</span>
                       </>
                     )}
                   </button>
                 </div>
+
+                {urlExtractor.hasCandidates && (
+                  <>
+                    <div className="flex items-center justify-between text-sm text-gray-600">
+                      <span>
+                        {urlExtractor.selectedUrls.length} of{" "}
+                        {urlExtractor.candidates.length} images selected
+                        {urlExtractor.sourceType &&
+                          ` (from ${urlExtractor.sourceType})`}
+                      </span>
+                      <button
+                        onClick={urlExtractor.toggleAll}
+                        className="text-primary-600 hover:underline"
+                      >
+                        {urlExtractor.selectedUrls.length ===
+                        urlExtractor.candidates.length
+                          ? "Select none"
+                          : "Select all"}
+                      </button>
+                    </div>
+                    <div className="max-h-80 overflow-y-auto space-y-1 border rounded-lg p-2">
+                      {urlExtractor.candidates.map((candidate) => (
+                        <label
+                          key={candidate.url}
+                          className="flex items-center space-x-2 text-sm p-1 rounded hover:bg-gray-50 cursor-pointer"
+                        >
+                          <input
+                            type="checkbox"
+                            checked={urlExtractor.selected.has(candidate.url)}
+                            onChange={() => urlExtractor.toggle(candidate.url)}
+                          />
+                          <span
+                            className="truncate flex-1 text-gray-700"
+                            title={candidate.url}
+                          >
+                            {candidate.filename}
+                            <span className="ml-2 text-xs text-gray-400">
+                              {candidate.url}
+                            </span>
+                          </span>
+                          {candidate.width && (
+                            <span className="text-xs text-gray-500">
+                              {candidate.width}w
+                            </span>
+                          )}
+                          <span className="text-xs text-gray-500 bg-gray-100 px-2 py-0.5 rounded">
+                            {candidate.source}
+                          </span>
+                        </label>
+                      ))}
+                    </div>
+                    <div className="flex flex-col sm:flex-row space-y-2 sm:space-y-0 sm:space-x-2">
+                      <button
+                        onClick={handleUseSelected}
+                        disabled={urlExtractor.selectedUrls.length === 0}
+                        className="btn-secondary text-sm px-3 py-2"
+                      >
+                        Add to URL List
+                      </button>
+                      <button
+                        onClick={() => runBatch(urlExtractor.selectedUrls)}
+                        disabled={
+                          urlExtractor.selectedUrls.length === 0 ||
+                          downloadManager.isDownloading
+                        }
+                        className="btn-primary text-sm px-3 py-2 flex items-center justify-center space-x-2"
+                      >
+                        <Download className="w-4 h-4" />
+                        <span>Download Selected</span>
+                      </button>
+                    </div>
+                  </>
+                )}
+
+                {urlExtractor.hasMore && (
+                  <button
+                    onClick={urlExtractor.loadMore}
+                    disabled={urlExtractor.isExtracting}
+                    className="btn-secondary w-full text-sm px-3 py-2"
+                  >
+                    {urlExtractor.isExtracting
+                      ? "Reading sitemaps..."
+                      : "Load more from sitemap index"}
+                  </button>
+                )}
+              </div>
+            ) : (
+              <div className="space-y-4">
+                <textarea
+                  id="urls"
+                  value={urls}
+                  onChange={handleUrlInput}
+                  placeholder="Enter image URLs here, one per line...&#10;Example:&#10;https://example.com/image1.jpg&#10;https://example.com/image2.png"
+                  rows={8}
+                  disabled={downloadManager.isDownloading}
+                  className="input-field resize-none whitespace-pre overflow-x-auto text-sm sm:text-base"
+                  wrap="off"
+                />
+
+                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-3 sm:space-y-0">
+                  <div className="text-sm text-gray-600">
+                    {urls.split("\n").filter((url) => url.trim()).length} URLs
+                  </div>
+                  <div className="text-xs text-gray-500 bg-blue-50 px-2 py-1 rounded">
+                    💡{" "}
+                    {userData.plan
+                      ? `${userData.plan.name}: Up to ${userData.plan.urlsPerRequest} URLs per request`
+                      : "Loading limits..."}
+                  </div>
+                </div>
+
+                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between space-y-3 sm:space-y-0">
+                  <div className="flex flex-col sm:flex-row space-y-2 sm:space-y-0 sm:space-x-2">
+                    <button
+                      onClick={validateUrlsLocally}
+                      disabled={!urls.trim() || downloadManager.isDownloading}
+                      className="btn-secondary text-sm px-3 py-2"
+                    >
+                      Validate URLs
+                    </button>
+                    <button
+                      onClick={handleDownload}
+                      disabled={!urls.trim() || downloadManager.isDownloading}
+                      className="btn-primary text-sm px-3 py-2 flex items-center justify-center space-x-2"
+                    >
+                      {downloadManager.isDownloading ? (
+                        <>
+                          <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+                          <span>Downloading...</span>
+                        </>
+                      ) : (
+                        <>
+                          <Download className="w-4 h-4" />
+                          <span>Download All</span>
+                        </>
+                      )}
+                    </button>
+                  </div>
+                </div>
               </div>
+            )}
+          </div>
+
+          {/* Naming template for the files in the ZIP */}
+          <div className="card">
+            <label
+              htmlFor="filename-template"
+              className="flex items-center space-x-2 text-lg font-semibold text-gray-900 mb-1"
+            >
+              <Tag className="w-5 h-5" />
+              <span>File Naming</span>
+            </label>
+            <p className="text-sm text-gray-600 mb-3">
+              Leave empty to keep the names from the URLs (or the imported
+              filename column). Slashes create folders; names that clash get a
+              numbered suffix, e.g. image (2).jpg.
+            </p>
+            <input
+              id="filename-template"
+              type="text"
+              value={filenameTemplate}
+              onChange={(e) => setFilenameTemplate(e.target.value)}
+              disabled={downloadManager.isDownloading}
+              placeholder="{index:04}_{host}_{basename}.{ext}"
+              className="input-field font-mono text-sm"
+            />
+            {templateError && (
+              <p className="text-sm text-red-600 mt-2">{templateError}</p>
+            )}
+            {templatePreview.length > 0 && (
+              <ul className="text-xs text-gray-600 mt-2 space-y-1">
+                {templatePreview.map((name, index) => (
+                  <li key={index} className="font-mono truncate">
+                    {name}
+                  </li>
+                ))}
+              </ul>
+            )}
+            <label className="flex items-center space-x-2 text-sm text-gray-700 mt-3">
+              <input
+                type="checkbox"
+                checked={dedupe}
+                onChange={(e) => setDedupe(e.target.checked)}
+                disabled={downloadManager.isDownloading}
+              />
+              <span>Store identical images only once</span>
+            </label>
+            <label className="flex items-center space-x-2 text-sm text-gray-700 mt-2">
+              <input
+                type="checkbox"
+                checked={findSimilar}
+                onChange={(e) => setFindSimilar(e.target.checked)}
+                disabled={downloadManager.isDownloading}
+              />
+              <span>
+                Store near-identical images (resized or recompressed copies)
+                only once
+              </span>
+            </label>
+            {findSimilar && (
+              <div className="flex flex-col sm:flex-row sm:items-center gap-2 mt-2 sm:pl-6">
+                <select
+                  value={hashAlgorithm}
+                  onChange={(e) => setHashAlgorithm(e.target.value)}
+                  disabled={downloadManager.isDownloading}
+                  className="input-field text-sm"
+                  aria-label="Hash algorithm"
+                >
+                  {Object.entries(HASH_ALGORITHMS).map(([algorithm, label]) => (
+                    <option key={algorithm} value={algorithm}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  min="0"
+                  max={MAX_THRESHOLD}
+                  value={similarityThreshold}
+                  onChange={(e) => setSimilarityThreshold(e.target.value)}
+                  disabled={downloadManager.isDownloading}
+                  placeholder={`Threshold (${DEFAULT_THRESHOLD})`}
+                  className="input-field text-sm sm:w-40"
+                  aria-label="Similarity threshold in differing bits"
+                />
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={keepLargest}
+                    onChange={(e) => setKeepLargest(e.target.checked)}
+                    disabled={downloadManager.isDownloading}
+                  />
+                  <span>Keep the largest</span>
+                </label>
+              </div>
+            )}
+            {similarityError && (
+              <p className="text-sm text-red-600 mt-2">{similarityError}</p>
+            )}
+            <div className="flex flex-col sm:flex-row sm:items-center gap-2 mt-3">
+              <label
+                htmlFor="archive-layout"
+                className="text-sm text-gray-700 whitespace-nowrap"
+              >
+                Folders
+              </label>
+              <select
+                id="archive-layout"
+                value={layoutType}
+                onChange={(e) => setLayoutType(e.target.value)}
+                disabled={downloadManager.isDownloading}
+                className="input-field text-sm"
+              >
+                {Object.entries(ARCHIVE_LAYOUTS).map(([type, label]) => (
+                  <option
+                    key={type}
+                    value={type}
+                    disabled={
+                      type === "column" && urlImport.columnNames.length === 0
+                    }
+                  >
+                    {label}
+                  </option>
+                ))}
+              </select>
+              {layoutType === "column" && (
+                <select
+                  value={layoutColumn}
+                  onChange={(e) => setLayoutColumn(e.target.value)}
+                  disabled={downloadManager.isDownloading}
+                  className="input-field text-sm"
+                >
+                  <option value="">Choose a column</option>
+                  {urlImport.columnNames.map((name) => (
+                    <option key={name} value={name}>
+                      {name}
+                    </option>
+                  ))}
+                </select>
+              )}
+              {layoutType === "chunk" && (
+                <input
+                  type="number"
+                  min="1"
+                  max={MAX_CHUNK_SIZE}
+                  value={chunkSize}
+                  onChange={(e) => setChunkSize(e.target.value)}
+                  disabled={downloadManager.isDownloading}
+                  className="input-field text-sm sm:w-32"
+                  aria-label="Images per folder"
+                />
+              )}
+            </div>
+            {layoutError && (
+              <p className="text-sm text-red-600 mt-2">{layoutError}</p>
+            )}
+            <details className="mt-3 text-sm text-gray-600">
+              <summary className="cursor-pointer">Available tokens</summary>
+              <ul className="mt-2 space-y-1">
+                {Object.entries(TEMPLATE_TOKENS).map(([token, help]) => (
+                  <li key={token}>
+                    <code className="text-gray-900">{`{${token}}`}</code> –{" "}
+                    {help}
+                  </li>
+                ))}
+              </ul>
+            </details>
+          </div>
+
+          {/* Conversion applied by the server to every image */}
+          <div className="card">
+            <label
+              htmlFor="output-format"
+              className="flex items-center space-x-2 text-lg font-semibold text-gray-900 mb-1"
+            >
+              <ImageIcon className="w-5 h-5" />
+              <span>Image Processing</span>
+            </label>
+            <p className="text-sm text-gray-600 mb-3">
+              Convert and resize every image, e.g. for a CMS that expects
+              uniform files. Transparent areas become white in JPEG; images are
+              never enlarged, except SVGs, which are drawn at the size asked
+              for.
+            </p>
+            <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+              <select
+                id="output-format"
+                value={outputFormat}
+                onChange={(e) => setOutputFormat(e.target.value)}
+                disabled={downloadManager.isDownloading}
+                className="input-field text-sm"
+              >
+                {Object.entries(OUTPUT_FORMATS).map(([format, label]) => (
+                  <option key={format} value={format}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              {hasQuality(outputFormat) && (
+                <input
+                  type="number"
+                  min="1"
+                  max="100"
+                  value={outputQuality}
+                  onChange={(e) => setOutputQuality(e.target.value)}
+                  disabled={downloadManager.isDownloading}
+                  placeholder={`Quality (${DEFAULT_QUALITY[outputFormat]})`}
+                  className="input-field text-sm sm:w-40"
+                  aria-label="Quality"
+                />
+              )}
+            </div>
+            <div className="flex flex-col sm:flex-row sm:items-center gap-2 mt-3">
+              <input
+                type="number"
+                min="1"
+                max={MAX_DIMENSION}
+                value={resizeWidth}
+                onChange={(e) => setResizeWidth(e.target.value)}
+                disabled={downloadManager.isDownloading}
+                placeholder="Max width"
+                className="input-field text-sm sm:w-32"
+                aria-label="Maximum width"
+              />
+              <input
+                type="number"
+                min="1"
+                max={MAX_DIMENSION}
+                value={resizeHeight}
+                onChange={(e) => setResizeHeight(e.target.value)}
+                disabled={downloadManager.isDownloading}
+                placeholder="Max height"
+                className="input-field text-sm sm:w-32"
+                aria-label="Maximum height"
+              />
+              <select
+                value={resizeFit}
+                onChange={(e) => setResizeFit(e.target.value)}
+                disabled={downloadManager.isDownloading}
+                className="input-field text-sm"
+                aria-label="Fit mode"
+              >
+                {Object.entries(FIT_MODES).map(([fit, label]) => (
+                  <option key={fit} value={fit}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="flex flex-col sm:flex-row sm:items-center gap-2 mt-3">
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={withThumbnails}
+                  onChange={(e) => setWithThumbnails(e.target.checked)}
+                  disabled={downloadManager.isDownloading}
+                />
+                <span>Add thumbnails in a thumbs/ folder</span>
+              </label>
+              {withThumbnails && (
+                <input
+                  type="number"
+                  min="1"
+                  max={MAX_DIMENSION}
+                  value={thumbnailSize}
+                  onChange={(e) => setThumbnailSize(e.target.value)}
+                  disabled={downloadManager.isDownloading}
+                  className="input-field text-sm sm:w-32"
+                  aria-label="Thumbnail size in pixels"
+                />
+              )}
+            </div>
+            <div className="flex flex-col sm:flex-row sm:items-center gap-2 mt-3">
+              <select
+                value={svgMode}
+                onChange={(e) => setSvgMode(e.target.value)}
+                disabled={downloadManager.isDownloading}
+                className="input-field text-sm"
+                aria-label="SVG images"
+              >
+                {Object.entries(SVG_MODES).map(([mode, label]) => (
+                  <option key={mode} value={mode}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              {svgMode !== "keep" && (
+                <>
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={svgSize}
+                    onChange={(e) => setSvgSize(e.target.value)}
+                    disabled={downloadManager.isDownloading}
+                    placeholder={
+                      svgSizeUnit === "dpi" ? "DPI (96)" : "Scale (1)"
+                    }
+                    className="input-field text-sm sm:w-32"
+                    aria-label="PNG size of SVGs"
+                  />
+                  <select
+                    value={svgSizeUnit}
+                    onChange={(e) => setSvgSizeUnit(e.target.value)}
+                    disabled={downloadManager.isDownloading}
+                    className="input-field text-sm"
+                    aria-label="PNG size unit"
+                  >
+                    {Object.entries(SVG_SIZE_UNITS).map(([unit, label]) => (
+                      <option key={unit} value={unit}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </>
+              )}
+            </div>
+            <select
+              value={metadataMode}
+              onChange={(e) => setMetadataMode(e.target.value)}
+              disabled={downloadManager.isDownloading}
+              className="input-field text-sm mt-3"
+              aria-label="Metadata"
+            >
+              {Object.entries(METADATA_MODES).map(([mode, label]) => (
+                <option key={mode} value={mode}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <label className="flex items-center space-x-2 text-sm text-gray-700 mt-3">
+              <input
+                type="checkbox"
+                checked={autoRotate}
+                onChange={(e) => setAutoRotate(e.target.checked)}
+                disabled={downloadManager.isDownloading}
+              />
+              <span>Rotate photos upright using their orientation tag</span>
+            </label>
+            <label className="flex items-center space-x-2 text-sm text-gray-700 mt-2">
+              <input
+                type="checkbox"
+                checked={extractExif}
+                onChange={(e) => setExtractExif(e.target.checked)}
+                disabled={downloadManager.isDownloading}
+              />
+              <span>
+                Add camera, dimensions, orientation and capture date to the
+                manifest
+              </span>
+            </label>
+            {processingError && (
+              <p className="text-sm text-red-600 mt-2">{processingError}</p>
+            )}
+          </div>
+
+          {/* Filters that skip images outside the given bounds */}
+          <div className="card">
+            <label
+              htmlFor="filter-min-width"
+              className="flex items-center space-x-2 text-lg font-semibold text-gray-900 mb-1"
+            >
+              <Filter className="w-5 h-5" />
+              <span>Filters</span>
+            </label>
+            <p className="text-sm text-gray-600 mb-3">
+              Skip tracking pixels, spacers and icons. Skipped images are listed
+              in the manifest and don&apos;t count as downloads.
+            </p>
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+              {[
+                ["minWidth", "Min width (px)"],
+                ["maxWidth", "Max width (px)"],
+                ["minHeight", "Min height (px)"],
+                ["maxHeight", "Max height (px)"],
+                ["minFileSizeKb", "Min file size (KB)"],
+                ["minAspectRatio", "Min aspect ratio"],
+                ["maxAspectRatio", "Max aspect ratio"],
+              ].map(([name, label]) => (
+                <input
+                  key={name}
+                  id={name === "minWidth" ? "filter-min-width" : undefined}
+                  type="number"
+                  min="0"
+                  step={name.endsWith("AspectRatio") ? "any" : "1"}
+                  value={filterValues[name]}
+                  onChange={(e) => setFilterValue(name, e.target.value)}
+                  disabled={downloadManager.isDownloading}
+                  placeholder={label}
+                  className="input-field text-sm"
+                  aria-label={label}
+                />
+              ))}
+            </div>
+            <div className="flex flex-wrap gap-x-4 gap-y-2 mt-3">
+              {Object.entries(FILTER_FORMATS).map(([format, label]) => (
+                <label
+                  key={format}
+                  className="flex items-center space-x-2 text-sm text-gray-700"
+                >
+                  <input
+                    type="checkbox"
+                    checked={filterValues.formats.includes(format)}
+                    onChange={(e) =>
+                      toggleFilterFormat(format, e.target.checked)
+                    }
+                    disabled={downloadManager.isDownloading}
+                  />
+                  <span>{label}</span>
+                </label>
+              ))}
             </div>
+            <p className="text-xs text-gray-500 mt-2">
+              Aspect ratio is width divided by height, e.g. 1.5 for 3:2. Without
+              a checked format, every format is allowed.
+            </p>
+            {filtersError && (
+              <p className="text-sm text-red-600 mt-2">{filtersError}</p>
+            )}
           </div>
 
+          {/* URL selector for imported JSON documents */}
+          {urlImport.isJsonImport && (
+            <div className="card">
+              <h3 className="text-lg font-semibold text-gray-900 mb-1">
+                Select URL Field
+              </h3>
+              <p className="text-sm text-gray-600 mb-4">
+                {urlImport.pendingImport.fileName}: enter the path of the image
+                URLs, e.g. <code>$.products[*].image.url</code> or{" "}
+                <code>$[*].images[*]</code>.
+              </p>
+
+              <input
+                type="text"
+                value={urlImport.pendingImport.selector}
+                onChange={(e) => urlImport.setSelector(e.target.value)}
+                className="input-field font-mono text-sm mb-2"
+                placeholder="$[*].url"
+              />
+              {urlImport.pendingImport.selectorError ? (
+                <p className="text-sm text-red-600 mb-4">
+                  {urlImport.pendingImport.selectorError}
+                </p>
+              ) : (
+                <p className="text-sm text-gray-600 mb-4">
+                  {urlImport.pendingImport.urls.length} URLs matched
+                </p>
+              )}
+
+              {/* Preview of the first matches */}
+              <ul className="text-xs text-gray-600 space-y-1 mb-4">
+                {urlImport.pendingImport.urls.slice(0, 5).map((url) => (
+                  <li key={url} className="truncate">
+                    {url}
+                  </li>
+                ))}
+              </ul>
+
+              <div className="flex flex-col sm:flex-row space-y-2 sm:space-y-0 sm:space-x-2">
+                <button
+                  onClick={handleConfirmImport}
+                  disabled={urlImport.pendingImport.urls.length === 0}
+                  className="btn-primary text-sm px-3 py-2"
+                >
+                  Import URLs
+                </button>
+                <button
+                  onClick={urlImport.cancelImport}
+                  className="btn-secondary text-sm px-3 py-2"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Column Mapping for imported tables and workbooks */}
+          {urlImport.isMapping && !urlImport.isJsonImport && (
+            <div className="card">
+              <h3 className="text-lg font-semibold text-gray-900 mb-1">
+                Map Columns
+              </h3>
+              <p className="text-sm text-gray-600 mb-4">
+                {urlImport.pendingImport.fileName}:{" "}
+                {urlImport.pendingImport.table.rows.length} rows. Pick the
+                column with the image URLs, and optionally columns to name the
+                files and the folders they are saved in.
+              </p>
+
+              {urlImport.pendingImport.sheetNames?.length > 1 && (
+                <label className="block text-sm text-gray-700 mb-4">
+                  <span className="block mb-1 font-medium">Sheet</span>
+                  <select
+                    value={urlImport.pendingImport.sheet}
+                    onChange={(e) => handleSelectSheet(e.target.value)}
+                    className="input-field text-sm"
+                  >
+                    {urlImport.pendingImport.sheetNames.map((sheet) => (
+                      <option key={sheet} value={sheet}>
+                        {sheet}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              )}
+
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4">
+                {[
+                  { field: "url", label: "Image URL", optional: false },
+                  { field: "filename", label: "Filename", optional: true },
+                  { field: "folder", label: "Folder", optional: true },
+                ].map(({ field, label, optional }) => (
+                  <label key={field} className="text-sm text-gray-700">
+                    <span className="block mb-1 font-medium">{label}</span>
+                    <select
+                      value={urlImport.pendingImport.mapping[field]}
+                      onChange={(e) =>
+                        urlImport.setColumn(field, parseInt(e.target.value))
+                      }
+                      className="input-field text-sm"
+                    >
+                      <option value={-1}>
+                        {optional ? "None" : "Select a column"}
+                      </option>
+                      {urlImport.pendingImport.table.headers.map(
+                        (header, index) => (
+                          <option key={index} value={index}>
+                            {header}
+                          </option>
+                        )
+                      )}
+                    </select>
+                  </label>
+                ))}
+              </div>
+
+              <label className="flex items-center space-x-2 text-sm text-gray-700 mb-4">
+                <input
+                  type="checkbox"
+                  checked={urlImport.pendingImport.table.hasHeader}
+                  onChange={(e) => urlImport.setHasHeader(e.target.checked)}
+                />
+                <span>First row contains column names</span>
+              </label>
+
+              {/* Preview of the first rows */}
+              <div className="overflow-x-auto mb-4">
+                <table className="min-w-full text-xs text-left">
+                  <thead>
+                    <tr className="border-b">
+                      {urlImport.pendingImport.table.headers.map(
+                        (header, index) => (
+                          <th
+                            key={index}
+                            className="px-2 py-1 font-medium text-gray-700"
+                          >
+                            {header}
+                          </th>
+                        )
+                      )}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {urlImport.pendingImport.table.rows
+                      .slice(0, 5)
+                      .map((row, rowIndex) => (
+                        <tr key={rowIndex} className="border-b">
+                          {urlImport.pendingImport.table.headers.map(
+                            (_, index) => (
+                              <td
+                                key={index}
+                                className="px-2 py-1 text-gray-600 truncate max-w-xs"
+                              >
+                                {row[index]}
+                              </td>
+                            )
+                          )}
+                        </tr>
+                      ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="flex flex-col sm:flex-row space-y-2 sm:space-y-0 sm:space-x-2">
+                <button
+                  onClick={handleConfirmImport}
+                  disabled={urlImport.pendingImport.mapping.url < 0}
+                  className="btn-primary text-sm px-3 py-2"
+                >
+                  Import URLs
+                </button>
+                <button
+                  onClick={urlImport.cancelImport}
+                  className="btn-secondary text-sm px-3 py-2"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+
           {/* Download Progress */}
           {downloadManager.isInProgress && (
             <div className="card">
@@ -348,21 +1491,48 @@ const BulkImageDownloader = () => {
               <div className="space-y-3">
                 {Object.entries(downloadManager.downloadProgress).map(
                   ([index, progress], i) => {
-                    const url = urls.split("\n")[parseInt(index)];
+                    // Progress is keyed by position in the running batch
+                    const url = downloadManager.activeUrls[parseInt(index)];
+                    const failed =
+                      downloadManager.downloadStatus[index] === "failed";
+                    const retrying =
+                      downloadManager.downloadStatus[index] === "retrying";
+                    const skipped =
+                      downloadManager.downloadStatus[index] === "skipped";
                     return (
                       <div key={index} className="space-y-1">
                         <div className="flex items-center justify-between text-sm">
                           <span className="text-gray-600 truncate flex-1">
                             {url}
                           </span>
-                          <span className="text-gray-900 ml-2">
-                            {progress}%
+                          <span
+                            className={`ml-2 ${
+                              failed
+                                ? "text-red-600"
+                                : retrying
+                                ? "text-yellow-600"
+                                : skipped
+                                ? "text-gray-500"
+                                : "text-gray-900"
+                            }`}
+                          >
+                            {failed
+                              ? "Failed"
+                              : retrying
+                              ? "Retrying..."
+                              : skipped
+                              ? "Skipped"
+                              : `${progress}%`}
                           </span>
                         </div>
                         <div className="w-full bg-gray-200 rounded-full h-2">
                           <div
                             className={`h-2 rounded-full transition-all duration-300 ${
-                              progress === 100
+                              failed
+                                ? "bg-red-500"
+                                : skipped
+                                ? "bg-gray-400"
+                                : progress === 100
                                 ? "bg-green-500"
                                 : "bg-primary-600"
                             }`}
@@ -467,24 +1637,38 @@ const BulkImageDownloader = () => {
                     {userData.downloadInfo.limit}
                   </span>
                 </div>
+                {userData.remainingDownloads.sizeLimits && (
+                  <>
+                    <div className="flex justify-between text-sm">
+                      <span className="text-gray-600">Max File Size:</span>
+                      <span className="font-medium">
+                        {formatBytes(
+                          userData.remainingDownloads.sizeLimits.maxFileSize
+                        )}
+                      </span>
+                    </div>
+                    <div className="flex justify-between text-sm">
+                      <span className="text-gray-600">Max Batch Size:</span>
+                      <span className="font-medium">
+                        {formatBytes(
+                          userData.remainingDownloads.sizeLimits.maxBatchSize
+                        )}
+                      </span>
+                    </div>
+                  </>
+                )}
                 <div className="flex justify-between text-sm">
                   <span className="text-gray-600">URLs per Request:</span>
                   <span className="font-medium text-blue-600">
-                    {userData.isProUser
-                      ? "100"
-                      : userData.isAuthenticated
-                      ? "10"
-                      : "5"}
+                    {userData.plan?.urlsPerRequest ?? "..."}
                   </span>
                 </div>
-                <div className="text-xs text-gray-500 bg-blue-50 p-2 rounded">
-                  💡{" "}
-                  {userData.isProUser
-                    ? "Pro users can download up to 100 URLs at once"
-                    : userData.isAuthenticated
-                    ? "Registered users can download up to 10 URLs at once"
-                    : "Anonymous users can download up to 5 URLs at once"}
-                </div>
+                {userData.plan && (
+                  <div className="text-xs text-gray-500 bg-blue-50 p-2 rounded">
+                    💡 The {userData.plan.name} plan can download up to{" "}
+                    {userData.plan.urlsPerRequest} URLs at once
+                  </div>
+                )}
               </div>
             ) : (
               <div className="text-sm text-gray-500">Loading...</div>
@@ -542,9 +1726,21 @@ const BulkImageDownloader = () => {
                       <span className="text-sm font-medium text-gray-900">
                         Download #{item.id}
                       </span>
-                      <span className="text-xs text-gray-500">
-                        {new Date(item.timestamp).toLocaleDateString()}
-                      </span>
+                      <div className="flex items-center space-x-3">
+                        {item.failedUrls?.length > 0 && (
+                          <button
+                            onClick={() => handleRetryFailed(item)}
+                            disabled={downloadManager.isDownloading}
+                            className="btn-secondary text-xs px-2 py-1 flex items-center space-x-1"
+                          >
+                            <RotateCcw className="w-3 h-3" />
+                            <span>Retry failed ({item.failedUrls.length})</span>
+                          </button>
+                        )}
+                        <span className="text-xs text-gray-500">
+                          {new Date(item.timestamp).toLocaleDateString()}
+                        </span>
+                      </div>
                     </div>
 
                     {/* Download Summary */}
@@ -567,6 +1763,73 @@ const BulkImageDownloader = () => {
                       </div>
                     </div>
 
+                    {/* Failed Images */}
+                    {item.results?.some(
+                      (result) => !result.success && !result.skipped
+                    ) && (
+                      <div className="space-y-2 mb-3">
+                        <div className="text-sm font-medium text-red-700">
+                          Failed Images:
+                        </div>
+                        <div className="max-h-32 overflow-y-auto space-y-1">
+                          {item.results
+                            .filter(
+                              (result) => !result.success && !result.skipped
+                            )
+                            .map((result, resultIndex) => (
+                              <div
+                                key={resultIndex}
+                                className="text-xs bg-white p-2 rounded border border-red-200"
+                              >
+                                <div
+                                  className="text-gray-600 truncate"
+                                  title={result.url}
+                                >
+                                  {result.url}
+                                </div>
+                                <div className="text-red-600">
+                                  {describeDownloadError(result)}
+                                  {result.code && (
+                                    <span className="ml-1 text-gray-400">
+                                      ({result.code})
+                                    </span>
+                                  )}
+                                </div>
+                              </div>
+                            ))}
+                        </div>
+                      </div>
+                    )}
+
+                    {/* Images left out by the batch's filters */}
+                    {item.results?.some((result) => result.skipped) && (
+                      <div className="space-y-2 mb-3">
+                        <div className="text-sm font-medium text-gray-700">
+                          Skipped Images:
+                        </div>
+                        <div className="max-h-32 overflow-y-auto space-y-1">
+                          {item.results
+                            .filter((result) => result.skipped)
+                            .map((result, resultIndex) => (
+                              <div
+                                key={resultIndex}
+                                className="text-xs bg-white p-2 rounded border border-gray-200"
+                              >
+                                <div
+                                  className="text-gray-600 truncate"
+                                  title={result.url}
+                                >
+                                  {result.url}
+                                </div>
+                                <div className="text-gray-500">
+                                  {result.error}
+                                </div>
+                              </div>
+                            ))}
+                        </div>
+                      </div>
+                    )}
+
                     {/* Image URLs */}
                     {item.urls && item.urls.length > 0 && (
                       <div className="space-y-2">
@@ -2,59 +2,31 @@ import { useState } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import { Check, Crown, User, Zap, Star } from 'lucide-react';
 import toast from 'react-hot-toast';
+import { usePlans } from '../../contexts/usePlans';
+import { describeDailyDownloads, dailyDownloadsLabel } from '../../utils/plans';
+import { formatBytes } from '../../utils/formatBytes';
 
 const PricingPage = () => {
   const { user, isAuthenticated } = useAuth();
+  const { plans: serverPlans, getPlan } = usePlans();
   const [selectedPlan, setSelectedPlan] = useState('pro');
 
-  const plans = [
-    {
-      id: 'anonymous',
-      name: 'Anonymous',
-      price: 'Free',
-      description: 'Perfect for occasional use',
-      features: [
-        '5 downloads per day',
-        'Basic image support',
-        'No account required',
-        'IP-based tracking'
-      ],
+  // How each plan is offered; its price, limits and features come from the
+  // server
+  const planActions = {
+    anonymous: {
       buttonText: 'Start Downloading',
       buttonAction: () => window.location.href = '/',
       popular: false,
       icon: User
     },
-    {
-      id: 'free',
-      name: 'Free User',
-      price: 'Free',
-      description: 'Great for regular users',
-      features: [
-        '10 downloads per day',
-        'Download history',
-        'User profile',
-        'Priority support',
-        'Advanced image formats'
-      ],
+    registered: {
       buttonText: 'Sign Up Free',
       buttonAction: () => window.location.href = '/auth',
       popular: false,
       icon: User
     },
-         {
-       id: 'pro',
-       name: 'Pro Subscription',
-       price: '$9.99',
-       period: '/month',
-       description: 'Unlimited downloads for power users',
-      features: [
-        'Unlimited downloads',
-        'Download history',
-        'Advanced image formats',
-        'ZIP downloads',
-        'Session-based tracking',
-        'All image types (BMP, TIFF, WebP, SVG)'
-      ],
+    pro: {
       buttonText: 'Subscribe Now',
       buttonAction: () => {
         if (isAuthenticated) {
@@ -67,12 +39,24 @@ const PricingPage = () => {
       popular: true,
       icon: Crown
     }
-  ];
+  };
+
+  const plans = serverPlans.map((plan) => ({
+    ...plan,
+    ...planActions[plan.id],
+    period: plan.period ? `/${plan.period}` : null,
+    features: [
+      describeDailyDownloads(plan),
+      `Up to ${plan.urlsPerRequest} URLs per request`,
+      `Images up to ${formatBytes(plan.sizeLimits.maxFileSize)}`,
+      ...plan.features
+    ]
+  }));
 
   const currentUserPlan = () => {
     if (!isAuthenticated) return 'anonymous';
     if (user?.subscription?.status === 'pro') return 'pro';
-    return 'free';
+    return 'registered';
   };
 
   return (
@@ -94,7 +78,7 @@ const PricingPage = () => {
           <div className="flex items-center justify-center space-x-2">
             <Star className="w-4 h-5 w-5 h-5 text-blue-600" />
             <span className="text-blue-800 font-medium text-sm sm:text-base">
-              Current Plan: {currentUserPlan() === 'pro' ? 'Pro Subscription' : 'Free User'}
+              Current Plan: {getPlan(currentUserPlan())?.name}
             </span>
           </div>
         </div>
@@ -203,18 +187,35 @@ const PricingPage = () => {
             <thead>
               <tr className="border-b border-gray-200">
                 <th className="text-left py-3 sm:py-4 px-2 sm:px-4 font-medium text-gray-900">Feature</th>
-                <th className="text-center py-3 sm:py-4 px-2 sm:px-4 font-medium text-gray-900">Anonymous</th>
-                <th className="text-center py-3 sm:py-4 px-2 sm:px-4 font-medium text-gray-900">Free User</th>
-                <th className="text-center py-3 sm:py-4 px-2 sm:px-4 font-medium text-primary-600">Pro</th>
+                {plans.map((plan) => (
+                  <th
+                    key={plan.id}
+                    className={`text-center py-3 sm:py-4 px-2 sm:px-4 font-medium ${plan.popular ? 'text-primary-600' : 'text-gray-900'}`}
+                  >
+                    {plan.name}
+                  </th>
+                ))}
               </tr>
             </thead>
             <tbody className="divide-y divide-gray-200">
-              <tr>
-                <td className="py-3 sm:py-4 px-2 sm:px-4 font-medium">Daily Downloads</td>
-                <td className="text-center py-3 sm:py-4 px-2 sm:px-4">5</td>
-                <td className="text-center py-3 sm:py-4 px-2 sm:px-4">10</td>
-                <td className="text-center py-3 sm:py-4 px-2 sm:px-4 text-primary-600 font-medium">Unlimited</td>
-              </tr>
+              {[
+                ['Daily Downloads', dailyDownloadsLabel],
+                ['URLs per Request', (plan) => plan.urlsPerRequest],
+                ['Max File Size', (plan) => formatBytes(plan.sizeLimits.maxFileSize)],
+                ['Max Batch Size', (plan) => formatBytes(plan.sizeLimits.maxBatchSize)]
+              ].map(([label, value]) => (
+                <tr key={label}>
+                  <td className="py-3 sm:py-4 px-2 sm:px-4 font-medium">{label}</td>
+                  {plans.map((plan) => (
+                    <td
+                      key={plan.id}
+                      className={`text-center py-3 sm:py-4 px-2 sm:px-4 ${plan.popular ? 'text-primary-600 font-medium' : ''}`}
+                    >
+                      {value(plan)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
               <tr>
                 <td className="py-3 sm:py-4 px-2 sm:px-4 font-medium">Download History</td>
                 <td className="text-center py-3 sm:py-4 px-2 sm:px-4">❌</td>
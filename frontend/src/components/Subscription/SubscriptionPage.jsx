@@ -1,5 +1,7 @@
 import { useState, useEffect } from "react";
 import { useAuth } from "../../contexts/AuthContext";
+import { usePlans } from "../../contexts/usePlans";
+import { describeDailyDownloads } from "../../utils/plans";
 import { useNavigate } from "react-router-dom";
 import {
   Crown,
@@ -15,6 +17,10 @@ import axios from "axios";
 
 const SubscriptionPage = () => {
   const { user, isAuthenticated } = useAuth();
+  const { getPlan } = usePlans();
+  const freePlan = getPlan("registered");
+  const proPlan = getPlan("pro");
+  const proPrice = proPlan ? `${proPlan.price}/${proPlan.period}` : "";
   const navigate = useNavigate();
   const [subscription, setSubscription] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -144,8 +150,8 @@ const SubscriptionPage = () => {
                   </div>
                   <div className="text-sm text-gray-500">
                     {subscription?.status === "pro"
-                      ? "Unlimited downloads"
-                      : "10 downloads per day"}
+                      ? proPlan && describeDailyDownloads(proPlan)
+                      : freePlan && describeDailyDownloads(freePlan)}
                   </div>
                 </div>
               </div>
@@ -187,26 +193,18 @@ const SubscriptionPage = () => {
                   Pro Plan Benefits:
                 </h4>
                 <ul className="space-y-2">
-                  <li className="flex items-center space-x-2">
-                    <CheckCircle className="w-4 h-4 text-green-500" />
-                    <span>Unlimited daily downloads</span>
-                  </li>
-                  <li className="flex items-center space-x-2">
-                    <CheckCircle className="w-4 h-4 text-green-500" />
-                    <span>Download history</span>
-                  </li>
-                  <li className="flex items-center space-x-2">
-                    <CheckCircle className="w-4 h-4 text-green-500" />
-                    <span>Advanced image formats</span>
-                  </li>
-                  <li className="flex items-center space-x-2">
-                    <CheckCircle className="w-4 h-4 text-green-500" />
-                    <span>ZIP downloads</span>
-                  </li>
-                  <li className="flex items-center space-x-2">
-                    <CheckCircle className="w-4 h-4 text-green-500" />
-                    <span>All image types (BMP, TIFF, WebP, SVG)</span>
-                  </li>
+                  {proPlan &&
+                    [describeDailyDownloads(proPlan), ...proPlan.features].map(
+                      (benefit) => (
+                        <li
+                          key={benefit}
+                          className="flex items-center space-x-2"
+                        >
+                          <CheckCircle className="w-4 h-4 text-green-500" />
+                          <span>{benefit}</span>
+                        </li>
+                      )
+                    )}
                 </ul>
               </div>
             </div>
@@ -221,8 +219,7 @@ const SubscriptionPage = () => {
                 Upgrade to Pro Plan
               </h3>
               <p className="text-gray-600 mb-6">
-                Get unlimited downloads and premium features for just
-                $9.99/month
+                Get unlimited downloads and premium features for just {proPrice}
               </p>
 
               {gumroadInfo ? (
@@ -231,7 +228,7 @@ const SubscriptionPage = () => {
                   className="btn-primary text-lg px-8 py-3 flex items-center justify-center space-x-2 mx-auto"
                 >
                   <Crown className="w-5 h-5" />
-                  <span>Subscribe Now - $9.99/month</span>
+                  <span>Subscribe Now - {proPrice}</span>
                   <ExternalLink className="w-4 h-4" />
                 </button>
               ) : (
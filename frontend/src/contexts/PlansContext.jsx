@@ -0,0 +1,36 @@
+import { useState, useEffect } from 'react';
+import api, { endpoints } from '../utils/api';
+import { PlansContext } from './usePlans';
+
+// Subscription plans as the server defines and enforces them, loaded once
+export const PlansProvider = ({ children }) => {
+  const [plans, setPlans] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const loadPlans = async () => {
+      try {
+        const response = await api.get(endpoints.plans);
+        setPlans(response.data.plans);
+      } catch (error) {
+        console.error('Failed to load plans:', error);
+      }
+      setLoading(false);
+    };
+
+    loadPlans();
+  }, []);
+
+  // Plan of a tier (anonymous, registered or pro), or null until loaded
+  const getPlan = (tier) => plans.find((plan) => plan.id === tier) || null;
+
+  const value = {
+    plans,
+    loading,
+    getPlan,
+  };
+
+  return (
+    <PlansContext.Provider value={value}>{children}</PlansContext.Provider>
+  );
+};
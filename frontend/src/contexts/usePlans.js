@@ -0,0 +1,12 @@
+import { createContext, useContext } from 'react';
+
+// Kept apart from PlansProvider so that file only exports components
+export const PlansContext = createContext();
+
+export const usePlans = () => {
+  const context = useContext(PlansContext);
+  if (!context) {
+    throw new Error('usePlans must be used within a PlansProvider');
+  }
+  return context;
+};
@@ -50,7 +50,8 @@ api.interceptors.response.use(
 // API endpoints
 export const endpoints = {
   download: {
-    images: "/api/download/images",
+    extract: "/api/download/extract",
+    jobs: "/api/download/jobs",
     remaining: "/api/download/remaining",
     validate: "/api/download/validate",
     history: "/api/download/history",
@@ -59,6 +60,7 @@ export const endpoints = {
     stats: "/api/user/stats",
     profile: "/api/user/profile",
   },
+  plans: "/api/plans",
   subscription: {
     status: "/api/subscription/status",
     gumroadProduct: "/api/subscription/gumroad/product",
@@ -68,4 +70,12 @@ export const endpoints = {
   },
 };
 
+/**
+ * Build an absolute URL for a backend path, e.g. for download links the
+ * browser follows directly instead of going through axios
+ * @param {string} path - API path starting with "/"
+ * @returns {string} Absolute URL
+ */
+export const getApiUrl = (path) => `${api.defaults.baseURL}${path}`;
+
 export default api;
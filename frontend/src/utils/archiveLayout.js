@@ -0,0 +1,58 @@
+/**
+ * Folder layouts for the images inside a ZIP, as sent with a batch request.
+ * The server arranges the archives, see backend/utils/archiveLayout.js.
+ */
+
+/**
+ * Layouts a batch may use, with the label shown in the layout select
+ */
+export const ARCHIVE_LAYOUTS = {
+  flat: "Flat (all images at the top level)",
+  mirror: "Mirror host and path of the URL",
+  type: "One folder per image type",
+  column: "One folder per value of an imported column",
+  chunk: "Folders of a fixed number of images",
+};
+
+export const DEFAULT_CHUNK_SIZE = 100;
+export const MAX_CHUNK_SIZE = 10000;
+
+/**
+ * Build the layout sent with a batch request
+ * @param {string} type - Key of ARCHIVE_LAYOUTS
+ * @param {Object} options - { column, size }
+ * @returns {Object|null} Layout, or null for the default flat layout
+ */
+export const buildLayout = (type, { column, size } = {}) => {
+  switch (type) {
+    case "mirror":
+    case "type":
+      return { type };
+    case "column":
+      return { type, column };
+    case "chunk":
+      return { type, size: Number(size) || DEFAULT_CHUNK_SIZE };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Check a layout without throwing
+ * @param {Object|null} layout - Layout from buildLayout
+ * @returns {string|null} Error message, or null if the layout is valid
+ */
+export const validateLayout = (layout) => {
+  if (layout?.type === "column" && !layout.column) {
+    return "Choose the column to group images by";
+  }
+  if (
+    layout?.type === "chunk" &&
+    (!Number.isInteger(layout.size) ||
+      layout.size < 1 ||
+      layout.size > MAX_CHUNK_SIZE)
+  ) {
+    return `Chunk size must be a whole number from 1 to ${MAX_CHUNK_SIZE}`;
+  }
+  return null;
+};
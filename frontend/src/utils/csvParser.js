@@ -0,0 +1,232 @@
+/**
+ * Delimiters we try when sniffing a file, in order of preference
+ */
+const CANDIDATE_DELIMITERS = [",", "\t", ";", "|"];
+
+/**
+ * Guess the delimiter of a CSV/TSV file from its first rows. The delimiter
+ * that splits every sampled row into the same (largest) number of columns
+ * wins.
+ * @param {string} text - File content
+ * @returns {string|null} Delimiter, or null for a plain list (one column)
+ */
+export const detectDelimiter = (text) => {
+  const sample = text.slice(0, 10000);
+
+  let best = null;
+  let bestColumns = 1;
+
+  CANDIDATE_DELIMITERS.forEach((delimiter) => {
+    let rows = parseDelimited(sample, delimiter);
+    // The last row may be cut off by the sample
+    if (sample.length < text.length) {
+      rows = rows.slice(0, -1);
+    }
+    rows = rows.slice(0, 10);
+
+    const columns = rows[0]?.length || 0;
+    if (columns > bestColumns && rows.every((row) => row.length === columns)) {
+      best = delimiter;
+      bestColumns = columns;
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Guess the delimiter of a file that isn't named as a table (.txt, .list,
+ * ...). URLs may contain commas (e.g. ".../w_300,h_200/a.jpg"), so a file
+ * whose lines are each a URL stays a plain list, and a delimiter only counts
+ * if it gives the table a header row or a column without URLs.
+ * @param {string} text - File content
+ * @returns {string|null} Delimiter, or null for a plain list
+ */
+export const detectTableDelimiter = (text) => {
+  const lines = text
+    .slice(0, 10000)
+    .split(/\r\n|\r|\n/)
+    .map((line) => line.trim())
+    .filter((line) => line !== "")
+    .slice(0, 10);
+  if (lines.every((line) => looksLikeUrl(line))) {
+    return null;
+  }
+
+  const delimiter = detectDelimiter(text);
+  if (!delimiter) {
+    return null;
+  }
+
+  const rows = parseDelimited(text.slice(0, 10000), delimiter).slice(0, 10);
+  const isUrlRow = (row) => row.some((value) => looksLikeUrl(value));
+  const hasHeader = !isUrlRow(rows[0]) && rows.slice(1).some(isUrlRow);
+  const hasOtherColumn =
+    rows.some(isUrlRow) &&
+    rows[0].some((_, index) => !rows.some((row) => looksLikeUrl(row[index])));
+
+  return hasHeader || hasOtherColumn ? delimiter : null;
+};
+
+/**
+ * Parse delimited text into rows of fields (RFC 4180: quoted fields may
+ * contain delimiters, line breaks and doubled quotes)
+ * @param {string} text - File content
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Array<string>>} Rows of fields, blank lines skipped
+ */
+export const parseDelimited = (text, delimiter = ",") => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== "") {
+      rows.push(row);
+    }
+    row = [];
+    field = "";
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === "") {
+      field = "";
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\r" || char === "\n") {
+      if (char === "\r" && input[i + 1] === "\n") {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    endRow();
+  }
+
+  return rows.map((fields) => fields.map((value) => value.trim()));
+};
+
+/**
+ * Check whether a value looks like an http(s) URL
+ * @param {string} value - Cell value
+ * @returns {boolean} True for absolute http(s) URLs
+ */
+export const looksLikeUrl = (value) => /^https?:\/\/\S+$/i.test(value || "");
+
+/**
+ * Turn parsed rows (from a CSV/TSV file or a spreadsheet) into a table
+ * @param {Array<Array<string>>} allRows - Rows of fields, header included
+ * @param {Object} options - Table options
+ * @param {boolean} options.hasHeader - Whether the first row holds column
+ *   names (detected if omitted: a first row without URLs is a header)
+ * @returns {Object} { hasHeader, headers, rows }
+ */
+export const rowsToTable = (allRows, options = {}) => {
+  const hasHeader =
+    options.hasHeader ??
+    (allRows.length > 1 && !allRows[0].some((value) => looksLikeUrl(value)));
+
+  const columnCount = Math.max(0, ...allRows.map((row) => row.length));
+  const headers = hasHeader
+    ? Array.from(
+        { length: columnCount },
+        (_, i) => allRows[0][i] || `Column ${i + 1}`
+      )
+    : Array.from({ length: columnCount }, (_, i) => `Column ${i + 1}`);
+
+  return {
+    hasHeader,
+    headers,
+    rows: hasHeader ? allRows.slice(1) : allRows,
+  };
+};
+
+/**
+ * Parse a CSV/TSV file into a table
+ * @param {string} text - File content
+ * @param {Object} options - Parse options
+ * @param {string} options.delimiter - Field delimiter (detected if omitted)
+ * @param {boolean} options.hasHeader - Whether the first row holds column
+ *   names (detected if omitted)
+ * @returns {Object} { delimiter, hasHeader, headers, rows }
+ */
+export const parseCsv = (text, options = {}) => {
+  const delimiter = options.delimiter || detectDelimiter(text) || ",";
+  return {
+    delimiter,
+    ...rowsToTable(parseDelimited(text, delimiter), options),
+  };
+};
+
+/**
+ * Find the column most likely to hold the image URLs
+ * @param {Object} table - Table from parseCsv or rowsToTable
+ * @returns {number} Column index (-1 if no column contains URLs)
+ */
+export const findUrlColumn = ({ headers, rows }) => {
+  let best = -1;
+  let bestCount = 0;
+
+  headers.forEach((header, index) => {
+    const count = rows.filter((row) => looksLikeUrl(row[index])).length;
+    // Prefer columns named like "image_url" when counts tie
+    const bonus = /url|image|img|src|link/i.test(header) ? 0.5 : 0;
+    if (count > 0 && count + bonus > bestCount) {
+      best = index;
+      bestCount = count + bonus;
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Turn table rows into download items using the chosen columns. Each item
+ * keeps the whole row as `columns` (by column name and by 1-based number)
+ * for {csv.*} naming template tokens.
+ * @param {Object} table - Table from parseCsv or rowsToTable
+ * @param {Object} mapping - Column indexes
+ * @param {number} mapping.url - Column holding the image URL
+ * @param {number} mapping.filename - Column naming the file (-1 for none)
+ * @param {number} mapping.folder - Column naming the folder (-1 for none)
+ * @returns {Array} Items: [{ url, filename, folder, columns }]
+ */
+export const mapRowsToItems = (
+  { headers, rows },
+  { url, filename = -1, folder = -1 }
+) =>
+  rows
+    .filter((row) => looksLikeUrl(row[url]))
+    .map((row) => ({
+      url: row[url],
+      filename: filename >= 0 ? row[filename] || undefined : undefined,
+      folder: folder >= 0 ? row[folder] || undefined : undefined,
+      columns: Object.fromEntries(
+        headers.flatMap((header, index) => [
+          [String(index + 1), row[index] || ""],
+          [header, row[index] || ""],
+        ])
+      ),
+    }));
@@ -17,7 +17,7 @@ export const ErrorTypes = {
 export const ErrorMessages = {
   [ErrorTypes.DOWNLOAD_LIMIT]: {
     anonymous:
-      "Anonymous users can only download up to 5 images per day. Please sign in for 10 downloads per day or subscribe for unlimited downloads.",
+      "Daily limit exceeded. Please sign in for more downloads or subscribe for unlimited downloads.",
     registered: "Daily limit exceeded. Subscribe for unlimited downloads.",
     pro: "Download limit exceeded. Please try again later.",
   },
@@ -29,6 +29,56 @@ export const ErrorMessages = {
   [ErrorTypes.UNKNOWN_ERROR]: "An unexpected error occurred. Please try again.",
 };
 
+/**
+ * Explanations for the per-URL error codes reported by the backend
+ */
+export const DownloadErrorExplanations = {
+  BLOCKED:
+    "This address points to a private or internal network and cannot be fetched.",
+  DNS_FAILURE: "The website's domain could not be found. Check for typos.",
+  TIMEOUT: "The server took too long to respond, even after retrying.",
+  CONNECTION_RESET: "The server closed the connection, even after retrying.",
+  NETWORK_ERROR: "The image could not be reached.",
+  TOO_MANY_REDIRECTS: "The link redirects too many times.",
+  TOO_LARGE: "The image is larger than your plan's file size limit.",
+  BATCH_TOO_LARGE:
+    "The batch reached your plan's size limit before this image was fetched.",
+  NOT_AN_IMAGE: "The link does not point to an image (e.g. it is a web page).",
+  INVALID_SVG: "The file is not a valid SVG image.",
+  EMPTY_RESPONSE: "The server returned an empty file.",
+  PROCESSING_FAILED:
+    "The image could not be converted to the requested format. Try keeping the original format.",
+  STORAGE_FAILED: "The image was fetched but could not be stored. Try again.",
+  HTTP_401: "The image requires a login.",
+  HTTP_403: "The website refused access to the image.",
+  HTTP_404: "The image was not found on the server.",
+  HTTP_410: "The image has been removed from the server.",
+  HTTP_429: "The website is rate limiting requests. Try again later.",
+};
+
+/**
+ * Explain why a single URL failed to download
+ * @param {Object} result - Failed result with `code` and `error`
+ * @returns {string} User-facing explanation
+ */
+export const describeDownloadError = (result) => {
+  const { code, error } = result;
+
+  if (code && DownloadErrorExplanations[code]) {
+    return DownloadErrorExplanations[code];
+  }
+
+  const status = Number(code?.match(/^HTTP_(\d+)$/)?.[1]);
+  if (status >= 500) {
+    return `The website had a server error (HTTP ${status}), even after retrying.`;
+  }
+  if (status) {
+    return `The website answered with HTTP ${status}.`;
+  }
+
+  return error || "The image could not be downloaded.";
+};
+
 /**
  * Handle API errors and show appropriate user feedback
  * @param {Error} error - The error object
@@ -0,0 +1,343 @@
+/**
+ * Naming templates for downloaded images, e.g.
+ * "{index:04}_{host}_{basename}.{ext}" or "{csv.sku}-{n}.{ext}".
+ * Mirrors backend/utils/filenameTemplate.js, which names the archive
+ * entries; keep the two in sync.
+ */
+
+/**
+ * Tokens a naming template may use, with the help text shown next to the
+ * template field
+ */
+export const TEMPLATE_TOKENS = {
+  index: "Position in the batch, from 1 ({index:04} pads to 4 digits)",
+  n: "Number among images whose name is otherwise the same ({n:02})",
+  basename: "Original file name without extension",
+  ext: "Extension of the detected type",
+  type: 'Detected type, e.g. "jpeg" or "svg"',
+  host: "Host name of the URL",
+  path: "Folders of the URL path ({path.1} first, {path.-1} last)",
+  hash: "SHA-256 of the image ({hash:12} for 12 characters, default 8)",
+  date: "Download date in UTC ({date:YYYYMMDD-HHmmss}, default YYYY-MM-DD)",
+  csv: "Column of the imported CSV/spreadsheet row ({csv.sku})",
+};
+
+const MAX_TEMPLATE_LENGTH = 200;
+
+// {name}, {name.key} or {name:arg}
+const TOKEN_PATTERN = /\{([A-Za-z_]+)(?:\.([^}:]+))?(?::([^}]*))?\}/g;
+
+// Tokens whose values are only known once the image has been downloaded
+const CONTENT_TOKENS = ["index", "n", "ext", "type", "hash", "date"];
+
+// Extensions we save each MIME type with
+const MIME_EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/jpg": "jpg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "image/bmp": "bmp",
+  "image/webp": "webp",
+  "image/avif": "avif",
+  "image/tiff": "tiff",
+  "image/heic": "heic",
+  "image/heif": "heif",
+  "image/x-icon": "ico",
+  "image/jxl": "jxl",
+  "image/svg+xml": "svg",
+};
+
+// Characters that are unsafe in file names on common filesystems, besides
+// control characters
+const UNSAFE_NAME_CHARS = /[<>:"/\\|?*]/g;
+
+// Replace control characters (below U+0020) in a name
+const replaceControlChars = (name) =>
+  Array.from(name, (char) => (char.charCodeAt(0) < 32 ? "_" : char)).join("");
+
+/**
+ * Get the extension for a MIME type, falling back to the subtype
+ * @param {string} contentType - MIME type
+ * @returns {string} Extension without the dot
+ */
+export const extensionForType = (contentType) => {
+  const mimeType = (contentType || "").split(";")[0].trim().toLowerCase();
+  return MIME_EXTENSIONS[mimeType] || mimeType.split("/")[1] || "jpg";
+};
+
+/**
+ * Guess the MIME type of an image URL from its file extension
+ * @param {string} url - Image URL
+ * @returns {string|null} MIME type
+ */
+export const typeForUrl = (url) => {
+  const match = url
+    .split("?")[0]
+    .split("#")[0]
+    .match(/\.([a-z0-9]+)$/i);
+  if (!match) {
+    return null;
+  }
+  const extension = match[1].toLowerCase();
+  if (extension === "jpeg") {
+    return "image/jpeg";
+  }
+  return (
+    Object.keys(MIME_EXTENSIONS).find(
+      (type) => MIME_EXTENSIONS[type] === extension
+    ) || null
+  );
+};
+
+/**
+ * Clean a single file or folder name
+ * @param {string} name - Name to clean
+ * @returns {string} Name without unsafe characters or leading/trailing dots
+ */
+export const sanitizePathSegment = (name) =>
+  replaceControlChars(String(name ?? ""))
+    .replace(UNSAFE_NAME_CHARS, "_")
+    .replace(/^[.\s]+|[.\s]+$/g, "")
+    .slice(0, 150);
+
+/**
+ * Split a naming template into literal text and tokens
+ * @param {string} template - Naming template
+ * @returns {Array} Parts: { text } or { token, key, arg }
+ * @throws {Error} On unknown tokens or malformed arguments
+ */
+export const parseTemplate = (template) => {
+  if (typeof template !== "string" || template.length > MAX_TEMPLATE_LENGTH) {
+    throw new Error(
+      `Naming template must be a string of at most ${MAX_TEMPLATE_LENGTH} characters`
+    );
+  }
+
+  const parts = [];
+  let lastIndex = 0;
+
+  for (const match of template.matchAll(TOKEN_PATTERN)) {
+    const [text, token, key, arg] = match;
+
+    if (!Object.hasOwn(TEMPLATE_TOKENS, token)) {
+      throw new Error(`Unknown template token ${text}`);
+    }
+    if (token === "csv" && !key) {
+      throw new Error("{csv} needs a column name, e.g. {csv.sku}");
+    }
+    if (key !== undefined && !["csv", "path"].includes(token)) {
+      throw new Error(`Template token {${token}} takes no key`);
+    }
+    if (token === "path" && key !== undefined && !/^-?[1-9]\d*$/.test(key)) {
+      throw new Error(`Invalid path segment in ${text}`);
+    }
+    if (
+      arg !== undefined &&
+      ["index", "n", "hash"].includes(token) &&
+      !/^\d{1,2}$/.test(arg)
+    ) {
+      throw new Error(`Invalid width in ${text}`);
+    }
+
+    parts.push({ text: template.slice(lastIndex, match.index) });
+    parts.push({ token, key, arg });
+    lastIndex = match.index + text.length;
+  }
+  parts.push({ text: template.slice(lastIndex) });
+
+  if (parts.some((part) => part.text?.includes("{"))) {
+    throw new Error("Naming template has an unclosed or empty token");
+  }
+
+  return parts.filter((part) => part.token || part.text);
+};
+
+/**
+ * Check a naming template without throwing
+ * @param {string} template - Naming template
+ * @returns {string|null} Error message, or null if the template is valid
+ */
+export const validateTemplate = (template) => {
+  try {
+    parseTemplate(template);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+// Decode a URL path segment, keeping it as is if it isn't valid encoding
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+};
+
+// Split a URL into its host, directories and file name
+const describeUrl = (url) => {
+  if (typeof url !== "string" || url.startsWith("data:")) {
+    return { host: url ? "data" : "", directories: [], file: "" };
+  }
+
+  try {
+    const { hostname, pathname } = new URL(url);
+    const segments = pathname.split("/").filter(Boolean).map(decodeSegment);
+    const file = pathname.endsWith("/") ? "" : segments.pop() || "";
+    return { host: hostname, directories: segments, file };
+  } catch {
+    return { host: "", directories: [], file: "" };
+  }
+};
+
+// Format a date as e.g. "YYYY-MM-DD" in UTC
+const formatDate = (date, format) =>
+  format.replace(/YYYY|MM|DD|HH|mm|ss/g, (part) => {
+    const value = {
+      YYYY: date.getUTCFullYear(),
+      MM: date.getUTCMonth() + 1,
+      DD: date.getUTCDate(),
+      HH: date.getUTCHours(),
+      mm: date.getUTCMinutes(),
+      ss: date.getUTCSeconds(),
+    }[part];
+    return String(value).padStart(part.length, "0");
+  });
+
+// Value of a single token
+const tokenValue = ({ token, key, arg }, context) => {
+  const { url, index, n, columns, hash, contentType, date } = context;
+  const { host, directories, file } = describeUrl(url);
+
+  switch (token) {
+    case "index":
+      return String(index + 1).padStart(Number(arg) || 0, "0");
+    case "n":
+      return String(n || 1).padStart(Number(arg) || 0, "0");
+    case "basename":
+      return file.replace(/\.[a-z0-9]+$/i, "") || `image-${index + 1}`;
+    case "ext":
+      return extensionForType(contentType);
+    case "type":
+      return (contentType || "").split("/")[1]?.split(/[+;]/)[0] || "";
+    case "host":
+      return host;
+    case "path": {
+      if (key === undefined) {
+        return directories.join("/");
+      }
+      const position = Number(key);
+      return (
+        directories[
+          position > 0 ? position - 1 : directories.length + position
+        ] || ""
+      );
+    }
+    case "hash":
+      return (hash || "").slice(0, Number(arg) || 8);
+    case "date":
+      return formatDate(date || new Date(), arg || "YYYY-MM-DD");
+    case "csv":
+      return columns && Object.hasOwn(columns, key) ? String(columns[key]) : "";
+    default:
+      return "";
+  }
+};
+
+/**
+ * Render a naming template for one image. Slashes in the template (or in
+ * {path}) create folders; every folder and the file name are sanitized.
+ * @param {string} template - Naming template
+ * @param {Object} context - { url, index, n, columns, hash, contentType, date }
+ *   where `hash` is the hex SHA-256 of the content
+ * @returns {Object|null} { folder, filename }, or null if the name is empty
+ */
+export const renderTemplate = (template, context) => {
+  const rendered = parseTemplate(template)
+    .map((part) =>
+      part.token
+        ? tokenValue(part, context).replace(
+            part.token === "path" ? /\\/g : /[/\\]/g,
+            "_"
+          )
+        : part.text
+    )
+    .join("");
+
+  // A name made of the extension alone means every token was empty
+  if (/(^|\/)\s*(\.[a-z0-9]+)?\s*$/i.test(rendered)) {
+    return null;
+  }
+
+  const segments = rendered.split("/").map(sanitizePathSegment).filter(Boolean);
+  const filename = segments.pop();
+
+  if (!filename) {
+    return null;
+  }
+
+  // Like the server, add the detected extension to names without one
+  return {
+    folder: segments.join("/"),
+    filename: /\.[a-z0-9]+$/i.test(filename)
+      ? filename
+      : `${filename}.${extensionForType(context.contentType)}`,
+  };
+};
+
+/**
+ * Number the URLs of a batch for the {n} token: URLs whose names would
+ * otherwise be the same are numbered 1, 2, 3... in batch order
+ * @param {string} template - Naming template
+ * @param {Array} items - [{ url, columns }] in batch order
+ * @returns {Array<number>} {n} value of each item
+ */
+export const assignSequenceNumbers = (template, items) => {
+  const parts = parseTemplate(template);
+  const counts = new Map();
+
+  return items.map(({ url, columns }, index) => {
+    const key = parts
+      .map((part) => {
+        if (!part.token) {
+          return part.text;
+        }
+        return CONTENT_TOKENS.includes(part.token)
+          ? `{${part.token}}`
+          : tokenValue(part, { url, index, columns });
+      })
+      .join("");
+
+    const n = (counts.get(key) || 0) + 1;
+    counts.set(key, n);
+    return n;
+  });
+};
+
+/**
+ * Show what a template makes of a URL before anything is downloaded. The
+ * type is guessed from the URL and the hash is a placeholder.
+ * @param {string} template - Naming template
+ * @param {Array} items - [{ url, columns }] of the batch
+ * @param {number} count - Number of examples
+ * @returns {Array<string>} Example paths inside the ZIP
+ */
+export const previewTemplate = (template, items, count = 3) => {
+  const sequence = assignSequenceNumbers(template, items);
+
+  return items.slice(0, count).map(({ url, columns }, index) => {
+    const contentType = typeForUrl(url) || "image/jpeg";
+    const rendered = renderTemplate(template, {
+      url,
+      index,
+      n: sequence[index],
+      columns,
+      hash: "0123456789abcdef".repeat(4),
+      contentType,
+    });
+    return rendered
+      ? [rendered.folder, rendered.filename].filter(Boolean).join("/")
+      : `(${url.split("/").pop() || `image-${index + 1}`})`;
+  });
+};
@@ -0,0 +1,15 @@
+/**
+ * Format a byte count for display, e.g. 10485760 -> "10 MB"
+ * @param {number} bytes - Byte count
+ * @returns {string} Size in B, KB, MB or GB with at most one decimal
+ */
+export const formatBytes = (bytes) => {
+  const units = ["B", "KB", "MB", "GB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${Math.round(value * 10) / 10} ${units[unit]}`;
+};
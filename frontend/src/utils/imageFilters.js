@@ -0,0 +1,112 @@
+/**
+ * Filters the server checks every fetched image against. Images that don't
+ * pass are skipped: they aren't saved and don't count as downloads. See
+ * backend/utils/imageFilters.js
+ */
+
+/**
+ * Formats a batch can be limited to, with the label of their checkbox
+ */
+export const FILTER_FORMATS = {
+  jpeg: "JPEG",
+  png: "PNG",
+  gif: "GIF",
+  webp: "WebP",
+  avif: "AVIF",
+  svg: "SVG",
+  bmp: "BMP",
+  tiff: "TIFF",
+  heic: "HEIC",
+  ico: "ICO",
+};
+
+/**
+ * Filter values of the form, all empty
+ */
+export const EMPTY_FILTERS = {
+  minWidth: "",
+  maxWidth: "",
+  minHeight: "",
+  maxHeight: "",
+  minFileSizeKb: "",
+  minAspectRatio: "",
+  maxAspectRatio: "",
+  formats: [],
+};
+
+// Read an optional number field
+const optionalNumber = (value) => (value === "" ? undefined : Number(value));
+
+/**
+ * Build the `filters` option sent with a batch request
+ * @param {Object} values - Form values shaped like EMPTY_FILTERS, with the
+ *   minimum file size in kilobytes
+ * @returns {Object|null} Filters with the minimum file size in bytes, or
+ *   null without filters
+ */
+export const buildFilters = (values) => {
+  const minFileSizeKb = optionalNumber(values.minFileSizeKb);
+  const filters = {
+    minWidth: optionalNumber(values.minWidth),
+    maxWidth: optionalNumber(values.maxWidth),
+    minHeight: optionalNumber(values.minHeight),
+    maxHeight: optionalNumber(values.maxHeight),
+    minFileSize:
+      minFileSizeKb === undefined
+        ? undefined
+        : Math.round(minFileSizeKb * 1024),
+    minAspectRatio: optionalNumber(values.minAspectRatio),
+    maxAspectRatio: optionalNumber(values.maxAspectRatio),
+    formats: values.formats.length > 0 ? values.formats : undefined,
+  };
+
+  return Object.values(filters).some((value) => value !== undefined)
+    ? filters
+    : null;
+};
+
+/**
+ * Check filters without throwing
+ * @param {Object|null} filters - Filters from buildFilters
+ * @returns {string|null} Error message, or null if the filters are valid
+ */
+export const validateFilters = (filters) => {
+  if (!filters) {
+    return null;
+  }
+
+  for (const [name, label] of Object.entries({
+    minWidth: "Minimum width",
+    maxWidth: "Maximum width",
+    minHeight: "Minimum height",
+    maxHeight: "Maximum height",
+  })) {
+    const value = filters[name];
+    if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+      return `${label} must be a whole number of pixels`;
+    }
+  }
+  if (
+    filters.minFileSize !== undefined &&
+    !(filters.minFileSize >= 0 && Number.isFinite(filters.minFileSize))
+  ) {
+    return "Minimum file size must be a number of kilobytes";
+  }
+  for (const name of ["minAspectRatio", "maxAspectRatio"]) {
+    const value = filters[name];
+    if (value !== undefined && !(value > 0 && Number.isFinite(value))) {
+      return "Aspect ratios must be numbers above 0, e.g. 1.5 for 3:2";
+    }
+  }
+
+  for (const [min, max, label] of [
+    ["minWidth", "maxWidth", "width"],
+    ["minHeight", "maxHeight", "height"],
+    ["minAspectRatio", "maxAspectRatio", "aspect ratio"],
+  ]) {
+    if (filters[min] !== undefined && filters[max] < filters[min]) {
+      return `Maximum ${label} must not be below the minimum`;
+    }
+  }
+  return null;
+};
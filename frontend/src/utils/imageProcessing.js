@@ -0,0 +1,189 @@
+/**
+ * Processing options the server applies to every image of a batch, see
+ * backend/services/imageProcessor.js
+ */
+
+/**
+ * Formats images can be converted to, with the label shown in the format
+ * select. An empty key keeps each image in the format it was served in.
+ */
+export const OUTPUT_FORMATS = {
+  "": "Keep original format",
+  jpeg: "JPEG",
+  png: "PNG",
+  webp: "WebP",
+  avif: "AVIF",
+};
+
+/**
+ * Quality the server uses when a batch doesn't ask for one
+ */
+export const DEFAULT_QUALITY = { jpeg: 85, webp: 80, avif: 50 };
+
+/**
+ * Whether a format takes a quality setting
+ * @param {string} format - Key of OUTPUT_FORMATS
+ * @returns {boolean} True for lossy formats
+ */
+export const hasQuality = (format) => Object.hasOwn(DEFAULT_QUALITY, format);
+
+/**
+ * Build the `convert` option sent with a batch request
+ * @param {string} format - Key of OUTPUT_FORMATS
+ * @param {string|number} quality - Quality from 1 to 100, empty for the
+ *   format's default
+ * @returns {Object|null} { format, quality }, or null to keep the originals
+ */
+export const buildConversion = (format, quality) => {
+  if (!format) {
+    return null;
+  }
+  if (!hasQuality(format) || quality === "" || quality === undefined) {
+    return { format };
+  }
+  return { format, quality: Number(quality) };
+};
+
+/**
+ * Check a conversion without throwing
+ * @param {Object|null} convert - Conversion from buildConversion
+ * @returns {string|null} Error message, or null if the conversion is valid
+ */
+export const validateConversion = (convert) => {
+  if (
+    convert?.quality !== undefined &&
+    (!Number.isInteger(convert.quality) ||
+      convert.quality < 1 ||
+      convert.quality > 100)
+  ) {
+    return "Quality must be a whole number from 1 to 100";
+  }
+  return null;
+};
+
+/**
+ * How a resized image fits the box, with the label shown in the fit select
+ */
+export const FIT_MODES = {
+  inside: "Fit inside (keep aspect ratio)",
+  contain: "Contain (pad to the box)",
+  cover: "Cover (crop to the box)",
+};
+
+export const MAX_DIMENSION = 10000;
+
+/**
+ * Width and height of the square box thumbnails fit inside by default
+ */
+export const DEFAULT_THUMBNAIL_SIZE = 200;
+
+/**
+ * Build a resize box sent with a batch request (`resize` or `thumbnails`)
+ * @param {string|number} width - Maximum width, empty for any
+ * @param {string|number} height - Maximum height, empty for any
+ * @param {string} fit - Key of FIT_MODES
+ * @returns {Object|null} { width, height, fit }, or null without dimensions
+ */
+export const buildResize = (width, height, fit = "inside") => {
+  if (width === "" && height === "") {
+    return null;
+  }
+  return {
+    width: width === "" ? undefined : Number(width),
+    height: height === "" ? undefined : Number(height),
+    fit,
+  };
+};
+
+/**
+ * Check a resize box without throwing
+ * @param {Object|null} box - Box from buildResize
+ * @param {string} name - Name of the option, for error messages
+ * @returns {string|null} Error message, or null if the box is valid
+ */
+export const validateResize = (box, name = "Resize") => {
+  for (const [label, value] of Object.entries({
+    width: box?.width,
+    height: box?.height,
+  })) {
+    if (
+      value !== undefined &&
+      (!Number.isInteger(value) || value < 1 || value > MAX_DIMENSION)
+    ) {
+      return `${name} ${label} must be a whole number from 1 to ${MAX_DIMENSION}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * What happens to SVG images, with the label shown in the SVG select
+ */
+export const SVG_MODES = {
+  convert: "Convert SVGs to PNG",
+  keep: "Keep SVGs as they are",
+  both: "Keep SVGs and add a PNG",
+};
+
+/**
+ * How the size of rasterized SVGs is given, with the label shown in the
+ * unit select. 96 DPI and scale 1 are the SVG's own size.
+ */
+export const SVG_SIZE_UNITS = {
+  scale: "× own size",
+  dpi: "DPI",
+};
+
+export const MAX_SVG_SCALE = 10;
+export const CSS_DPI = 96;
+
+/**
+ * Build the `svg` option sent with a batch request
+ * @param {string} mode - Key of SVG_MODES
+ * @param {string} unit - Key of SVG_SIZE_UNITS
+ * @param {string|number} size - Scale or DPI, empty for the SVG's own size
+ * @returns {Object} { mode, scale } or { mode, dpi }
+ */
+export const buildSvgOptions = (mode, unit, size) => {
+  if (mode === "keep" || size === "" || size === undefined) {
+    return { mode };
+  }
+  return { mode, [unit]: Number(size) };
+};
+
+/**
+ * Check SVG options without throwing
+ * @param {Object} svg - Options from buildSvgOptions
+ * @returns {string|null} Error message, or null if the options are valid
+ */
+export const validateSvgOptions = (svg) => {
+  if (
+    svg.scale !== undefined &&
+    !(svg.scale > 0 && svg.scale <= MAX_SVG_SCALE)
+  ) {
+    return `SVG scale must be a number above 0 and at most ${MAX_SVG_SCALE}`;
+  }
+  if (
+    svg.dpi !== undefined &&
+    (!Number.isInteger(svg.dpi) ||
+      svg.dpi < 1 ||
+      svg.dpi > CSS_DPI * MAX_SVG_SCALE)
+  ) {
+    return `SVG DPI must be a whole number from 1 to ${
+      CSS_DPI * MAX_SVG_SCALE
+    }`;
+  }
+  return null;
+};
+
+/**
+ * What happens to EXIF and other metadata, with the label shown in the
+ * metadata select. Without a choice, untouched images keep their metadata
+ * and converted or resized images lose it.
+ */
+export const METADATA_MODES = {
+  "": "Leave metadata as is",
+  keep: "Keep all metadata, also when converting",
+  private: "Remove location and personal data",
+  strip: "Remove all metadata",
+};
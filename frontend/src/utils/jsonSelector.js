@@ -0,0 +1,123 @@
+import { looksLikeUrl } from "./csvParser";
+
+/**
+ * Split a JSONPath-like selector into steps. Supported syntax:
+ * `$.products[*].image.url`, `items[0].src`, `data.*.href`, `["image url"]`
+ * @param {string} selector - Selector, optionally starting with "$"
+ * @returns {Array} Steps: { key } or { index } or { wildcard: true }
+ */
+export const parseSelector = (selector) => {
+  const input = (selector || "").trim().replace(/^\$/, "");
+  const steps = [];
+  const stepPattern =
+    /^(?:\.?([A-Za-z_$][\w$-]*)|\.?\*|\[\*\]|\[(\d+)\]|\[(["'])(.*?)\3\])/;
+
+  let rest = input;
+  while (rest.length > 0) {
+    const match = rest.match(stepPattern);
+    if (!match) {
+      throw new Error(`Invalid selector near "${rest}"`);
+    }
+
+    if (match[1] !== undefined) {
+      steps.push({ key: match[1] });
+    } else if (match[2] !== undefined) {
+      steps.push({ index: parseInt(match[2]) });
+    } else if (match[4] !== undefined) {
+      steps.push({ key: match[4] });
+    } else {
+      steps.push({ wildcard: true });
+    }
+    rest = rest.slice(match[0].length);
+  }
+
+  return steps;
+};
+
+/**
+ * Select values from parsed JSON. Arrays at the end of the selector are
+ * taken element by element, so `products[*].images` yields every image.
+ * @param {*} data - Parsed JSON
+ * @param {string} selector - JSONPath-like selector (see parseSelector)
+ * @returns {Array} Matched values
+ */
+export const selectJson = (data, selector) => {
+  let values = [data];
+
+  parseSelector(selector).forEach((step) => {
+    values = values.flatMap((value) => {
+      if (value === null || typeof value !== "object") {
+        return [];
+      }
+      if (step.wildcard) {
+        return Array.isArray(value) ? value : Object.values(value);
+      }
+      const next = step.key !== undefined ? value[step.key] : value[step.index];
+      return next === undefined ? [] : [next];
+    });
+  });
+
+  return values.flat();
+};
+
+/**
+ * Write a path of keys and array positions as a selector, with every
+ * array position generalised to [*]
+ * @param {Array} path - Keys (strings) and array markers (null)
+ * @returns {string} Selector
+ */
+const pathToSelector = (path) =>
+  "$" +
+  path
+    .map((key) => {
+      if (key === null) {
+        return "[*]";
+      }
+      return /^[A-Za-z_$][\w$-]*$/.test(key)
+        ? `.${key}`
+        : `[${JSON.stringify(key)}]`;
+    })
+    .join("");
+
+/**
+ * Guess the selector of the URL field: the path (with array positions
+ * generalised) that holds the most http(s) URLs
+ * @param {*} data - Parsed JSON
+ * @returns {string|null} Selector, or null if the document has no URLs
+ */
+export const findUrlSelector = (data) => {
+  const counts = new Map();
+  // Bound the walk so huge documents don't freeze the page
+  let budget = 100000;
+
+  const walk = (value, path) => {
+    if (budget-- <= 0 || path.length > 20) {
+      return;
+    }
+    if (typeof value === "string") {
+      if (looksLikeUrl(value)) {
+        const selector = pathToSelector(path);
+        counts.set(selector, (counts.get(selector) || 0) + 1);
+      }
+    } else if (Array.isArray(value)) {
+      value.forEach((item) => walk(item, [...path, null]));
+    } else if (value && typeof value === "object") {
+      Object.entries(value).forEach(([key, item]) =>
+        walk(item, [...path, key])
+      );
+    }
+  };
+
+  walk(data, []);
+
+  let best = null;
+  let bestCount = 0;
+  counts.forEach((count, selector) => {
+    if (count > bestCount) {
+      best = selector;
+      bestCount = count;
+    }
+  });
+
+  return best;
+};
@@ -0,0 +1,23 @@
+/**
+ * Copy describing the limits of a subscription plan, built from the plan the
+ * server serves (GET /api/plans) so the UI never promises other limits than
+ * the ones enforced. See backend/config/plans.js
+ */
+
+/**
+ * Describe a plan's daily download limit
+ * @param {Object} plan - Plan from the server
+ * @returns {string} e.g. "10 downloads per day" or "Unlimited downloads"
+ */
+export const describeDailyDownloads = (plan) =>
+  plan.dailyDownloads === null
+    ? "Unlimited downloads"
+    : `${plan.dailyDownloads} downloads per day`;
+
+/**
+ * Daily download limit of a plan for tables
+ * @param {Object} plan - Plan from the server
+ * @returns {string|number} The limit, or "Unlimited"
+ */
+export const dailyDownloadsLabel = (plan) =>
+  plan.dailyDownloads === null ? "Unlimited" : plan.dailyDownloads;
@@ -0,0 +1,52 @@
+/**
+ * Near-duplicate detection the server runs across a batch: images that look
+ * the same (resized or recompressed copies) are stored once. See
+ * backend/utils/perceptualHash.js
+ */
+
+/**
+ * Perceptual hashes the server can compare images by, with the label shown
+ * in the algorithm select
+ */
+export const HASH_ALGORITHMS = {
+  dhash: "Difference hash (dHash)",
+  ahash: "Average hash (aHash)",
+  phash: "DCT hash (pHash)",
+};
+
+/**
+ * Number of differing hash bits up to which images count as near-duplicates
+ */
+export const DEFAULT_THRESHOLD = 10;
+
+export const MAX_THRESHOLD = 64;
+
+/**
+ * Build the `similarity` option sent with a batch request
+ * @param {string} algorithm - Key of HASH_ALGORITHMS
+ * @param {string|number} threshold - Differing bits, empty for the default
+ * @param {boolean} keepLargest - Store the largest image of each group
+ *   instead of the first
+ * @returns {Object} { algorithm, threshold, keep }
+ */
+export const buildSimilarity = (algorithm, threshold, keepLargest) => ({
+  algorithm,
+  threshold: threshold === "" ? DEFAULT_THRESHOLD : Number(threshold),
+  keep: keepLargest ? "largest" : "first",
+});
+
+/**
+ * Check near-duplicate detection options without throwing
+ * @param {Object|null} similarity - Options from buildSimilarity
+ * @returns {string|null} Error message, or null if the options are valid
+ */
+export const validateSimilarity = (similarity) => {
+  const threshold = similarity?.threshold;
+  if (
+    similarity &&
+    (!Number.isInteger(threshold) || threshold < 0 || threshold > MAX_THRESHOLD)
+  ) {
+    return `Similarity threshold must be a whole number from 0 to ${MAX_THRESHOLD}`;
+  }
+  return null;
+};
@@ -0,0 +1,36 @@
+import readXlsxFile, { readSheetNames } from "read-excel-file";
+
+/**
+ * Convert a spreadsheet cell to the text a CSV export would hold
+ * @param {*} value - Cell value (string, number, boolean, Date or null)
+ * @returns {string} Cell text
+ */
+const cellToText = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 10);
+  }
+  return String(value).trim();
+};
+
+/**
+ * List the sheets of an XLSX workbook
+ * @param {File|Blob|ArrayBuffer} file - Workbook
+ * @returns {Promise<Array<string>>} Sheet names
+ */
+export const getSheetNames = (file) => readSheetNames(file);
+
+/**
+ * Read one sheet of an XLSX workbook as rows of text fields
+ * @param {File|Blob|ArrayBuffer} file - Workbook
+ * @param {string} sheet - Sheet name (the first sheet if omitted)
+ * @returns {Promise<Array<Array<string>>>} Rows, blank rows skipped
+ */
+export const readSheetRows = async (file, sheet) => {
+  const rows = await readXlsxFile(file, sheet ? { sheet } : undefined);
+  return rows
+    .map((row) => row.map(cellToText))
+    .filter((row) => row.some((value) => value !== ""));
+};